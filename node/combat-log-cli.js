@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+// --- Command line -------------------------------------------------------------
+//
+// Summarises combat logs without a browser, e.g. for a bot posting nightly
+// stats:
+//   node node/combat-log-cli.js raid.log --encounter last
+//   node node/combat-log-cli.js a.log b.log --from "2024-05-01 20:00" --to "2024-05-01 21:30" --csv --out summary.csv
+// Without an output option, damage/healing/damage taken tables are printed.
+
+const fs = require("fs");
+const {createCombatLog} = require("./headless-parser");
+
+const USAGE = `Usage: node node/combat-log-cli.js [options] <log file>...
+
+Several files are merged into one session, like in the page.
+
+Options:
+  --from <time>       start of the time range: epoch seconds or a date,
+                      read as UTC unless it names an offset
+                      ("2024-05-01 20:00", "2024-05-01T20:00+02:00")
+  --to <time>         end of the time range (same forms)
+  --encounter <id>    time range of a detected encounter ("last" for the last one)
+  --format <id>       log format instead of auto-detection
+  --damage <type>     count only "direct" hits or only "dot" ticks as damage
+  --pets <file>       pet owner rules ("pattern = owner" lines)
+  --roster <file>     roster file (JSON or "name,tag" lines)
+  --top <n>           rows per table (default 10)
+  --csv               write the summary as CSV
+  --json              write the summary as JSON
+  --out <file>        write to a file instead of stdout
+  --help              show this help`;
+
+// options taking a value
+const VALUE_OPTIONS = new Set(["from", "to", "encounter", "format", "damage", "pets", "roster", "top", "out"]);
+
+function parseArgs(argv) {
+    const args = {files: [], top: 10};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith("--")) {
+            args.files.push(arg);
+            continue;
+        }
+
+        const name = arg.slice(2);
+        if (VALUE_OPTIONS.has(name)) {
+            if (i + 1 >= argv.length) throw new Error("Missing value for " + arg);
+            args[name] = argv[++i];
+        } else if (name === "csv" || name === "json" || name === "help") {
+            args[name] = true;
+        } else {
+            throw new Error("Unknown option " + arg);
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Epoch seconds of a --from/--to value. Dates without an offset are UTC,
+ * like the times the report prints, so a command picks the same window on
+ * every host.
+ */
+function parseTime(value, option) {
+    if (/^\d+(\.\d+)?$/.test(value)) return Number(value);
+
+    const match = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?))?$/.exec(value.trim());
+    const ms = match
+        ? Date.parse(match[1] + "T" + (match[2] || "00:00") + "Z")
+        : Date.parse(value);
+    if (Number.isNaN(ms)) throw new Error("Cannot read --" + option + " " + value);
+    return ms / 1000;
+}
+
+function readTextFile(filePath) {
+    return fs.readFileSync(filePath, "utf8");
+}
+
+// --- Tables -------------------------------------------------------------------
+
+function formatNumber(value) {
+    return Math.round(value).toLocaleString("en-US");
+}
+
+function formatTime(ts) {
+    return ts == null ? "n/a" : new Date(ts * 1000).toISOString().replace("T", " ").slice(0, 19);
+}
+
+/**
+ * Fixed-width text table; columns = [{label, value: (row, index) => text,
+ * right}].
+ */
+function formatTable(columns, rows) {
+    const cells = rows.map((row, index) => columns.map(col => String(col.value(row, index))));
+    const widths = columns.map((col, i) =>
+        Math.max(col.label.length, ...cells.map(line => line[i].length)));
+    const pad = (text, i) => columns[i].right ? text.padStart(widths[i]) : text.padEnd(widths[i]);
+
+    const lines = [
+        columns.map((col, i) => pad(col.label, i)).join("  "),
+        widths.map(width => "-".repeat(width)).join("  "),
+        ...cells.map(line => line.map(pad).join("  "))
+    ];
+    return lines.join("\n");
+}
+
+/**
+ * Rows with field > 0, largest first; extraFields are shown as amount
+ * columns after the rate ([{field, label}]).
+ */
+function formatRankedTable(title, rows, field, rateField, top, extraFields = []) {
+    const ranked = rows.filter(row => row[field] > 0).sort((a, b) => b[field] - a[field]);
+    if (!ranked.length) return "";
+
+    const total = ranked.reduce((sum, row) => sum + row[field], 0);
+    const table = formatTable([
+        {label: "#", value: (row, index) => index + 1, right: true},
+        {label: "Entity", value: row => row.name + (row.team ? " [" + row.team + "]" : "")},
+        {label: "Amount", value: row => formatNumber(row[field]), right: true},
+        {label: "Per second", value: row => formatNumber(row[rateField]), right: true},
+        ...extraFields.map(extra => ({label: extra.label, value: row => formatNumber(row[extra.field]), right: true})),
+        {label: "%", value: row => ((row[field] / total) * 100).toFixed(1), right: true}
+    ], ranked.slice(0, top));
+
+    return title + " (total " + formatNumber(total) + ")\n" + table;
+}
+
+function formatReport(log, top) {
+    const stats = log.stats;
+    const range = log.getTimeRange();
+    const rows = log.getSummary();
+
+    const skipped = Object.entries(stats.diagnostics.reasons)
+        .map(([reason, entry]) => reason + ": " + entry.count)
+        .join(", ");
+
+    const header = [
+        "Files: " + stats.files.map(f => f.name).join(", "),
+        "Lines: " + stats.parsedLines + " parsed, " + stats.skippedLines + " skipped" +
+            (skipped ? " (" + skipped + ")" : ""),
+        "Time range: " + (range.label ? range.label + " " : "") +
+            formatTime(range.start) + " → " + formatTime(range.end) + " UTC",
+        "Encounters: " + log.getEncounters().length,
+        "Damage: " + log.context.getDamageTypeLabel()
+    ].join("\n");
+
+    const tables = [
+        formatRankedTable("Damage done", rows, "damageDone", "dps", top, [
+            {field: "damageDirect", label: "Direct"},
+            {field: "damageDot", label: "DoT"}
+        ]),
+        formatRankedTable("Healing done", rows, "healingDone", "hps", top),
+        formatRankedTable("Damage taken", rows, "damageReceived", "dtps", top, [
+            {field: "damageReceivedDirect", label: "Direct"},
+            {field: "damageReceivedDot", label: "DoT"}
+        ])
+    ].filter(Boolean);
+
+    return [header, ...tables].join("\n\n") + "\n";
+}
+
+// --- Main ---------------------------------------------------------------------
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    if (args.help || !args.files.length) {
+        console.log(USAGE);
+        return args.help ? 0 : 1;
+    }
+
+    const log = createCombatLog({
+        formatId: args.format,
+        petRules: args.pets ? readTextFile(args.pets) : "",
+        roster: args.roster ? readTextFile(args.roster) : ""
+    });
+    if (args.format && !log.formatIds.includes(args.format)) {
+        throw new Error("Unknown log format " + args.format + " (known: " + log.formatIds.join(", ") + ")");
+    }
+
+    if (args.damage) {
+        if (args.damage !== "direct" && args.damage !== "dot") {
+            throw new Error("--damage takes direct or dot, not " + args.damage);
+        }
+        log.setDamageTypes(args.damage === "direct", args.damage === "dot");
+    }
+
+    await log.parseFiles(args.files);
+
+    if (args.encounter) {
+        const encounters = log.getEncounters();
+        const id = args.encounter === "last" && encounters.length
+            ? encounters[encounters.length - 1].id
+            : Number(args.encounter);
+        if (!log.selectEncounter(id)) {
+            throw new Error("No encounter " + args.encounter + " (" + encounters.length + " detected)");
+        }
+    } else if (args.from || args.to) {
+        const bounds = log.timeBounds;
+        const start = args.from ? parseTime(args.from, "from") : bounds.min;
+        const end = args.to ? parseTime(args.to, "to") : bounds.max;
+        log.setTimeRange(start, end);
+    }
+
+    let output;
+    if (args.json) {
+        output = log.exportSummary("json") + "\n";
+    } else if (args.csv) {
+        output = log.exportSummary("csv");
+    } else {
+        output = formatReport(log, Number(args.top) || 10);
+    }
+
+    if (args.out) {
+        fs.writeFileSync(args.out, output);
+    } else {
+        process.stdout.write(output);
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(
+        code => { process.exitCode = code; },
+        (err) => {
+            console.error("Error: " + (err.message || err));
+            process.exitCode = 1;
+        }
+    );
+}
+
+module.exports = {parseArgs, parseTime, formatReport};
@@ -0,0 +1,199 @@
+// --- Headless parser ----------------------------------------------------------
+//
+// Runs the page's parsing and aggregation scripts in a Node vm context, so
+// logs can be summarised without a browser (see combat-log-cli.js):
+//
+//   const {createCombatLog} = require("./headless-parser");
+//   const log = createCombatLog({petRules, roster});
+//   await log.parseFiles(["raid.log"]);
+//   log.setTimeRange(start, end);
+//   console.log(log.getSummary());
+//
+// The scripts are classic browser scripts sharing globals (entities,
+// globalStats, timeFilter, ...); every instance gets a context of its own,
+// so several logs can be open side by side.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const {Readable} = require("stream");
+
+const SCRIPTS_DIR = path.join(__dirname, "..", "scripts");
+
+// in page order; pets.js, roster.js and export.js register their page
+// setup on DOMContentLoaded, which never fires here
+const HEADLESS_SCRIPTS = [
+    "log-formats.js",
+    "log-parser.js",
+    "event-store.js",
+    "aggregation.js",
+    "pets.js",
+    "roster.js",
+    "export.js"
+];
+
+function createScriptContext() {
+    const context = vm.createContext({
+        console,
+        TextDecoder,
+        document: {addEventListener() {}}
+    });
+
+    for (const name of HEADLESS_SCRIPTS) {
+        const file = path.join(SCRIPTS_DIR, name);
+        vm.runInContext(fs.readFileSync(file, "utf8"), context, {filename: file});
+    }
+    return context;
+}
+
+/**
+ * File-like object for parseFilesInChunks (name, size, stream()).
+ */
+function openLogFile(filePath) {
+    return {
+        name: path.basename(filePath),
+        size: fs.statSync(filePath).size,
+        stream: () => Readable.toWeb(fs.createReadStream(filePath))
+    };
+}
+
+/**
+ * A parser instance. options:
+ *   formatId   log format id instead of detecting one per file
+ *   petRules   pet owner rules text ("pattern = owner" lines, see pets.js)
+ *   roster     roster text (JSON or "name,tag" lines, see roster.js)
+ */
+function createCombatLog(options = {}) {
+    const context = createScriptContext();
+    // let/const globals of the scripts are only reachable through code
+    const run = code => vm.runInContext(code, context);
+
+    if (options.petRules) {
+        run("petSettings").rules = context.parsePetRules(options.petRules);
+    }
+    if (options.roster) {
+        const roster = run("roster");
+        for (const [name, tag] of context.parseRosterText(options.roster)) {
+            roster.set(name, tag);
+        }
+    }
+
+    // derived state the page builds in showParsedSession
+    function finishParse() {
+        context.clearEventStore();
+        run("encounters = detectEncounters()");
+        context.rebuildPetIndex();
+        setTimeRange(null, null);
+    }
+
+    /**
+     * Parses the files into one session (merged and de-duplicated like
+     * the page does). Resolves once every file is read.
+     */
+    async function parseFiles(filePaths) {
+        await context.parseFilesInChunks(filePaths.map(openLogFile), null, null, {formatId: options.formatId});
+        finishParse();
+    }
+
+    /**
+     * Parses log text that is already in memory, e.g. a downloaded log.
+     */
+    function parseText(text, name = "log") {
+        context.resetParserState({formatId: options.formatId});
+        context.beginParseFile(name, Buffer.byteLength(text));
+        for (const line of text.split(/\r?\n/)) {
+            context.parseLine(line);
+        }
+        context.finishParseFile();
+        finishParse();
+    }
+
+    /**
+     * Limits every result to [start, end] (epoch seconds); nulls select
+     * the whole log.
+     */
+    function setTimeRange(start, end, label = "") {
+        const timeFilter = run("timeFilter");
+        timeFilter.enabled = start != null && end != null;
+        timeFilter.start = timeFilter.enabled ? start : null;
+        timeFilter.end = timeFilter.enabled ? end : null;
+        timeFilter.label = timeFilter.enabled ? label : "";
+    }
+
+    /**
+     * Which damage counts: direct hits (DMG), DoT ticks (DOT) or both
+     * (the default). At least one has to stay on.
+     */
+    function setDamageTypes(direct, dot) {
+        if (!direct && !dot) throw new Error("Direct and DoT damage cannot both be left out");
+        const filter = run("damageTypeFilter");
+        filter.direct = direct;
+        filter.dot = dot;
+    }
+
+    function getEncounters() {
+        return run("encounters");
+    }
+
+    /**
+     * Narrows the time range to a detected encounter; false if there is
+     * no encounter with that id.
+     */
+    function selectEncounter(id) {
+        const enc = getEncounters().find(e => e.id === id);
+        if (!enc) return false;
+
+        setTimeRange(enc.start, enc.end, "encounter #" + enc.id +
+            (enc.mainTarget ? " – " + enc.mainTarget : ""));
+        return true;
+    }
+
+    /**
+     * Summary rows of the time range (see
+     * buildAggregatedEntitiesForCurrentTimeFrame), entities without any
+     * activity left out.
+     */
+    function getSummary() {
+        return context.buildSummaryExportSections()[0].rows;
+    }
+
+    function getTimeRange() {
+        const {start, end} = context.getCurrentTimeFrameBounds();
+        return {start, end, label: run("timeFilter").label};
+    }
+
+    /**
+     * The summary as the page's CSV or JSON export would write it.
+     */
+    function exportSummary(format) {
+        const meta = context.buildExportMetadata();
+        const sections = context.buildSummaryExportSections();
+        return format === "json"
+            ? context.buildJsonDocument(meta, sections)
+            : context.buildCsvDocument(meta, sections);
+    }
+
+    return {
+        context,
+        parseFiles,
+        parseText,
+        setTimeRange,
+        getTimeRange,
+        setDamageTypes,
+        getEncounters,
+        selectEncounter,
+        getSummary,
+        exportSummary,
+        get stats() {
+            return run("globalStats");
+        },
+        get timeBounds() {
+            return run("timeBounds");
+        },
+        get formatIds() {
+            return run("LOG_FORMATS").map(format => format.id);
+        }
+    };
+}
+
+module.exports = {createCombatLog};
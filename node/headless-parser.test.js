@@ -0,0 +1,84 @@
+// Run with: node --test node/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {createCombatLog} = require("./headless-parser");
+const {parseTime} = require("./combat-log-cli");
+
+function summaryRow(log, name) {
+    return log.getSummary().find(row => row.name === name);
+}
+
+test("parseText totals damage, healing and the direct/DoT split", () => {
+    const log = createCombatLog();
+    log.parseText([
+        "1700000000,DMG,Alice,Boss,Fireball,1000,HEALTH,NORMAL",
+        "1700000002,DOT,Alice,Boss,Burn,200,HEALTH,NORMAL",
+        "1700000004,DOT,Alice,Boss,Burn,300,HEALTH,NORMAL",
+        "1700000006,HEAL,Bob,Alice,Mend,400,HEALTH,NORMAL",
+        "1700000010,DMG,Boss,Alice,Smash,250,HEALTH,CRITICAL"
+    ].join("\n"));
+
+    const alice = summaryRow(log, "Alice");
+    assert.strictEqual(alice.damageDone, 1500);
+    assert.strictEqual(alice.damageDirect, 1000);
+    assert.strictEqual(alice.damageDot, 500);
+    assert.strictEqual(alice.healingReceived, 400);
+    assert.strictEqual(alice.damageReceived, 250);
+
+    const boss = summaryRow(log, "Boss");
+    assert.strictEqual(boss.damageReceived, 1500);
+    assert.strictEqual(boss.damageReceivedDirect, 1000);
+    assert.strictEqual(boss.damageReceivedDot, 500);
+
+    assert.strictEqual(summaryRow(log, "Bob").healingDone, 400);
+});
+
+test("setDamageTypes leaves DoT ticks out", () => {
+    const log = createCombatLog();
+    log.parseText([
+        "1700000000,DMG,Alice,Boss,Fireball,1000,HEALTH,NORMAL",
+        "1700000002,DOT,Alice,Boss,Burn,200,HEALTH,NORMAL"
+    ].join("\n"));
+
+    log.setDamageTypes(true, false);
+    assert.strictEqual(summaryRow(log, "Alice").damageDone, 1000);
+});
+
+test("parseFiles merges files and drops lines both loggers wrote", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "combat-log-"));
+    const first = path.join(dir, "first.log");
+    const second = path.join(dir, "second.log");
+    fs.writeFileSync(first, [
+        "1700000001,DMG,Alice,Boss,Fireball,100,HEALTH,NORMAL",
+        "1700000001,DMG,Alice,Boss,Fireball,100,HEALTH,NORMAL",
+        "1700000002,DMG,Alice,Boss,Fireball,5,HEALTH,NORMAL"
+    ].join("\n"));
+    fs.writeFileSync(second, [
+        "1700000001,DMG,Alice,Boss,Fireball,100,HEALTH,NORMAL",
+        "1700000003,DMG,Alice,Boss,Frostbolt,7,HEALTH,NORMAL"
+    ].join("\n"));
+
+    try {
+        const log = createCombatLog();
+        await log.parseFiles([first, second]);
+
+        assert.strictEqual(summaryRow(log, "Alice").damageDone, 212);
+        assert.strictEqual(log.stats.duplicateLines, 1);
+        assert.strictEqual(log.stats.files[1].duplicateLines, 1);
+    } finally {
+        fs.rmSync(dir, {recursive: true, force: true});
+    }
+});
+
+test("parseTime reads dates without an offset as UTC", () => {
+    assert.strictEqual(parseTime("1700000000", "from"), 1700000000);
+    assert.strictEqual(parseTime("2024-05-01 20:00", "from"), Date.UTC(2024, 4, 1, 20, 0) / 1000);
+    assert.strictEqual(parseTime("2024-05-01T20:00:30", "from"), Date.UTC(2024, 4, 1, 20, 0, 30) / 1000);
+    assert.strictEqual(parseTime("2024-05-01", "from"), Date.UTC(2024, 4, 1) / 1000);
+    assert.strictEqual(parseTime("2024-05-01T20:00+02:00", "from"), Date.UTC(2024, 4, 1, 18, 0) / 1000);
+    assert.throws(() => parseTime("yesterday", "from"), /Cannot read --from/);
+});
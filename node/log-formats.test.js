@@ -0,0 +1,23 @@
+// Run with: node --test node/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {createCombatLog} = require("./headless-parser");
+
+test("quoted log without commas in names is read as quoted CSV", () => {
+    const log = createCombatLog();
+    log.parseText([
+        '1700000001,DMG,"Alice","Boss","Fireball",1000,"HEALTH","NORMAL"',
+        '1700000002,DMG,"Bob","Boss","Fireball",500,"HEALTH","NORMAL"'
+    ].join("\n"), "quoted.log");
+
+    assert.strictEqual(log.stats.files[0].format, "combatlogger-quoted");
+    assert.strictEqual(log.getSummary().map(row => row.name).sort().join(","), "Alice,Bob,Boss");
+});
+
+test("plain log stays plain", () => {
+    const log = createCombatLog();
+    log.parseText("1700000001,DMG,Alice,Boss,Fireball,1000,HEALTH,NORMAL", "plain.log");
+
+    assert.strictEqual(log.stats.files[0].format, "combatlogger");
+});
@@ -0,0 +1,835 @@
+// --- Aggregation --------------------------------------------------------------
+//
+// DOM-free analysis of a parsed session: hit statistics, buff uptime,
+// encounter detection and the per-entity totals of the current time frame.
+// Loaded after log-parser.js and event-store.js by the page and by the
+// headless parser (node/headless-parser.js); pets.js and roster.js supply
+// getPetOwner/getEntityPets and getEntityTag/splitDamageBySide at call
+// time. Nothing in here may touch document/window.
+
+// --- Analysis state -----------------------------------------------------------
+
+// current time filter
+const timeFilter = {
+    enabled: false,
+    start: null,
+    end: null,
+    label: ""  // e.g. "encounter #3", shown and exported with the range
+};
+
+// which damage the damage views count: direct hits (DMG) and periodic
+// ticks (DOT); at least one of them stays on
+const damageTypeFilter = {
+    direct: true,
+    dot: true
+};
+
+// detected encounters (fights), rebuilt after every parse
+let encounters = [];
+
+const encounterSettings = {
+    // seconds without any DMG/DOT/HEAL event that end an encounter
+    idleGapSeconds: 30,
+    // shorter "fights" (a stray dot tick, a single heal) are ignored
+    minDurationSeconds: 5
+};
+
+// combatlogger only logs BUFF/DEBUFF applications, never removals, so
+// uptime assumes each application lasts a fixed time (reapplying
+// refreshes it). Overrides are keyed by effectId.
+const effectDurationSettings = {
+    defaultSeconds: 15,
+    byEffectId: new Map()
+};
+
+// --- Hit statistics ---------------------------------------------------------
+
+// hitType values written by combatlogger, compared upper-cased
+const CRIT_HIT_TYPES = new Set(["CRITICAL", "CRIT"]);
+const AVOIDED_HIT_TYPES = new Set(["MISS", "DODGE", "PARRY", "EVADE", "IMMUNE", "RESIST"]);
+const MITIGATED_HIT_TYPES = new Set(["BLOCK", "ABSORB", "PARTIAL"]);
+
+function classifyHitType(hitType) {
+    const key = String(hitType || "").toUpperCase();
+    if (CRIT_HIT_TYPES.has(key)) return "crit";
+    if (AVOIDED_HIT_TYPES.has(key)) return "avoided";
+    if (MITIGATED_HIT_TYPES.has(key)) return "mitigated";
+    return "normal";
+}
+
+function createHitStats() {
+    return {
+        total: 0,
+        hits: 0,        // every event, avoided ones included
+        landed: 0,      // events that were not avoided
+        min: null,
+        max: null,
+        crits: 0,
+        dotTotal: 0,    // part of total that came from DOT ticks
+        ticks: 0,       // DOT events, counted in hits as well
+        hitTypes: new Map()
+    };
+}
+
+function addToHitStats(stats, e) {
+    const category = classifyHitType(e.hitType);
+    const hitTypeKey = e.hitType || "(none)";
+
+    stats.total += e.amount;
+    stats.hits++;
+    stats.hitTypes.set(hitTypeKey, (stats.hitTypes.get(hitTypeKey) || 0) + 1);
+    if (e.type === "DOT") {
+        stats.dotTotal += e.amount;
+        stats.ticks++;
+    }
+
+    if (category === "avoided") return;
+
+    stats.landed++;
+    if (category === "crit") stats.crits++;
+    if (stats.min === null || e.amount < stats.min) stats.min = e.amount;
+    if (stats.max === null || e.amount > stats.max) stats.max = e.amount;
+}
+
+/**
+ * Per-skill hit statistics of the events inside range (default: the
+ * current time frame). Returns Map<skill, stats> (see createHitStats).
+ */
+function buildSkillHitStats(events, range = getCurrentTimeFrameRange()) {
+    const map = new Map();
+    const {start, end} = range;
+
+    for (const [skill, series] of getSkillSeries(events)) {
+        const [from, to] = getSeriesRange(series, start, end);
+        if (from === to) continue;
+
+        const stats = createHitStats();
+        for (let i = from; i < to; i++) {
+            addToHitStats(stats, series.events[i]);
+        }
+        map.set(skill, stats);
+    }
+
+    return map;
+}
+
+/**
+ * Sums the hitType counters of several stats objects.
+ */
+function mergeHitTypeCounts(statsList) {
+    const map = new Map();
+    for (const stats of statsList) {
+        for (const [hitType, count] of stats.hitTypes) {
+            map.set(hitType, (map.get(hitType) || 0) + count);
+        }
+    }
+    return Array.from(map.entries()).sort((a, b) => b[1] - a[1]);
+}
+
+function buildEntityDamageBySkill(entity) {
+    return buildSkillHitStats(getCountedDamageEvents(entity.damageEvents));
+}
+
+function buildEntityHealingBySkill(entity) {
+    return buildSkillHitStats(entity.healEvents);
+}
+
+function buildEntityDamageTakenBySkill(entity) {
+    return buildSkillHitStats(getCountedDamageEvents(entity.damageTakenEvents));
+}
+
+/**
+ * Healing grouped by the other side of the heal: targets for healEvents
+ * ("healed whom"), sources for healTakenEvents ("healed by").
+ * Returns sorted {name, amount, effective, count} rows.
+ */
+function buildEntityHealingByEntity(events, nameField) {
+    const map = new Map();
+
+    for (const e of getEventsInCurrentTimeFrame(events)) {
+        const name = e[nameField] || "(unknown)";
+        let row = map.get(name);
+        if (!row) {
+            row = {name, amount: 0, effective: 0, count: 0};
+            map.set(name, row);
+        }
+        row.amount += e.amount;
+        row.effective += e.amount - (e.overheal || 0);
+        row.count++;
+    }
+
+    return Array.from(map.values()).sort((a, b) => b.amount - a.amount);
+}
+
+function buildEntityHealingByTarget(entity) {
+    return buildEntityHealingByEntity(entity.healEvents, "target");
+}
+
+function buildEntityHealingBySource(entity) {
+    return buildEntityHealingByEntity(entity.healTakenEvents, "source");
+}
+
+function buildEntityTopDamageSources(entity, limit = 10) {
+    const map = new Map();
+    for (const e of getEventsInCurrentTimeFrame(getCountedDamageEvents(entity.damageTakenEvents))) {
+        const key = e.source || "(unknown)";
+        map.set(key, (map.get(key) || 0) + e.amount);
+    }
+
+    const entries = Array.from(map.entries()).sort((a, b) => b[1] - a[1]);
+    return entries.slice(0, limit);
+}
+
+/**
+ * Source-side events (damageEvents, healEvents) grouped by target, then
+ * by skill within each target, inside range. Returns rows sorted by
+ * amount: {target, stats, bySkill: Map<skill, stats>}.
+ */
+function buildTargetSkillStats(events, range = getCurrentTimeFrameRange()) {
+    const rows = [];
+    const {start, end} = range;
+
+    for (const [target, series] of getTargetSeries(events)) {
+        const [from, to] = getSeriesRange(series, start, end);
+        if (from === to) continue;
+
+        const stats = createHitStats();
+        const bySkill = new Map();
+        for (let i = from; i < to; i++) {
+            const e = series.events[i];
+            if (!bySkill.has(e.skill)) bySkill.set(e.skill, createHitStats());
+            addToHitStats(bySkill.get(e.skill), e);
+            addToHitStats(stats, e);
+        }
+        rows.push({target: target || "(unknown)", stats, bySkill});
+    }
+
+    return rows.sort((a, b) => b.stats.total - a.stats.total);
+}
+
+function buildEntityDamageByTargetAndSkill(entity) {
+    return buildTargetSkillStats(getCountedDamageEvents(entity.damageEvents));
+}
+
+function buildEntityHealingByTargetAndSkill(entity) {
+    return buildTargetSkillStats(entity.healEvents);
+}
+
+/**
+ * Damage taken in the current time frame per entity, with who dealt it
+ * (pets counted for their owners): "who hit the boss" next to "who hit
+ * the adds". Returns rows sorted by total: {target, total, sources:
+ * [{source, amount}]}, sources sorted by amount.
+ */
+function buildDamageTakenByTarget() {
+    const rows = [];
+    const {start, end} = getCurrentTimeFrameRange();
+
+    for (const entity of entities.values()) {
+        const bySource = new Map();
+        let total = 0;
+
+        for (const e of getEventsInRange(getCountedDamageEvents(entity.damageTakenEvents), start, end)) {
+            const source = getPetOwner(e.source) || e.source || "(unknown)";
+            bySource.set(source, (bySource.get(source) || 0) + e.amount);
+            total += e.amount;
+        }
+        if (!total) continue;
+
+        const sources = Array.from(bySource, ([source, amount]) => ({source, amount}))
+            .sort((a, b) => b.amount - a.amount);
+        rows.push({target: entity.name, total, sources});
+    }
+
+    return rows.sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Groups ENERGIZE events by keyFn (e.g. skill + pool) and returns rows
+ * sorted by amount: {key fields..., pool, amount, count}.
+ */
+function buildEntityResourceRows(events, keyFn) {
+    const map = new Map();
+
+    for (const e of getEventsInCurrentTimeFrame(events)) {
+        const fields = keyFn(e);
+        const key = Object.values(fields).join("::");
+        let row = map.get(key);
+        if (!row) {
+            row = {...fields, amount: 0, count: 0};
+            map.set(key, row);
+        }
+        row.amount += e.amount;
+        row.count++;
+    }
+
+    return Array.from(map.values()).sort((a, b) => b.amount - a.amount);
+}
+
+function buildEntityResourcesGivenBySkill(entity) {
+    return buildEntityResourceRows(entity.energizeEvents, e => ({
+        skill: e.skill || "(no skill)",
+        pool: e.pool || "(unknown)"
+    }));
+}
+
+function buildEntityResourcesReceivedBySource(entity) {
+    return buildEntityResourceRows(entity.energizeReceivedEvents, e => ({
+        source: e.source || "(unknown)",
+        skill: e.skill || "(no skill)",
+        pool: e.pool || "(unknown)"
+    }));
+}
+
+/**
+ * Totals per pool (MANA, ...) of resource rows built above.
+ */
+function sumResourceRowsByPool(rows) {
+    const map = new Map();
+    for (const row of rows) {
+        map.set(row.pool, (map.get(row.pool) || 0) + row.amount);
+    }
+    return Array.from(map.entries()).sort((a, b) => b[1] - a[1]);
+}
+
+// --- Buff / debuff uptime ---------------------------------------------------
+
+function getEffectDuration(effectId) {
+    const override = effectDurationSettings.byEffectId.get(String(effectId));
+    return override != null ? override : effectDurationSettings.defaultSeconds;
+}
+
+function getLongestEffectDuration() {
+    let longest = effectDurationSettings.defaultSeconds;
+    for (const seconds of effectDurationSettings.byEffectId.values()) {
+        if (seconds > longest) longest = seconds;
+    }
+    return longest;
+}
+
+/**
+ * Seconds within [start, end] covered by at least one of the intervals
+ * ([from, to] pairs). Overlapping applications (refreshes) count once.
+ */
+function computeCoveredSeconds(intervals, start, end) {
+    const sorted = intervals
+        .map(([from, to]) => [Math.max(from, start), Math.min(to, end)])
+        .filter(([from, to]) => to > from)
+        .sort((a, b) => a[0] - b[0]);
+
+    let covered = 0;
+    let curFrom = null;
+    let curTo = null;
+
+    for (const [from, to] of sorted) {
+        if (curTo === null || from > curTo) {
+            if (curTo !== null) covered += curTo - curFrom;
+            curFrom = from;
+            curTo = to;
+        } else if (to > curTo) {
+            curTo = to;
+        }
+    }
+    if (curTo !== null) covered += curTo - curFrom;
+
+    return covered;
+}
+
+/**
+ * Groups effect events by effect name (and target when withTarget) and
+ * returns {type, name, target, count, uptime} rows for the current time
+ * frame. count is applications inside the window; uptime (0..1) also
+ * includes applications made shortly before the window that still run.
+ */
+function buildEffectUptimeRows(events, type, withTarget) {
+    const {start, end} = getCurrentTimeFrameBounds();
+    if (start == null || end == null) return [];
+
+    const windowSeconds = getCurrentTimeFrameDuration();
+    const groups = new Map();
+
+    // applications made up to one (longest) duration before the window
+    // can still be running inside it
+    const lookback = getLongestEffectDuration();
+
+    for (const e of getEventsInRange(events, start - lookback, end)) {
+        const name = e.effectName || "(unknown)";
+        const key = withTarget ? name + "::" + e.target : name;
+
+        let group = groups.get(key);
+        if (!group) {
+            group = {type, name, target: withTarget ? e.target : null, count: 0, intervals: []};
+            groups.set(key, group);
+        }
+
+        if (isInCurrentTimeFrame(e.timestamp)) group.count++;
+        group.intervals.push([e.timestamp, e.timestamp + getEffectDuration(e.effectId)]);
+    }
+
+    const rows = [];
+    for (const group of groups.values()) {
+        const covered = computeCoveredSeconds(group.intervals, start, end);
+        if (!group.count && !covered) continue;
+
+        rows.push({
+            type: group.type,
+            name: group.name,
+            target: group.target,
+            count: group.count,
+            uptime: Math.min(1, covered / windowSeconds)
+        });
+    }
+
+    rows.sort((a, b) => a.name.localeCompare(b.name) || b.uptime - a.uptime);
+    return rows;
+}
+
+function buildEntityAppliedBuffsByEffect(entity) {
+    return [
+        ...buildEffectUptimeRows(entity.buffsApplied, "BUFF", true),
+        ...buildEffectUptimeRows(entity.debuffsApplied, "DEBUFF", true)
+    ];
+}
+
+function buildEntityReceivedBuffsByEffect(entity) {
+    return [
+        ...buildEffectUptimeRows(entity.buffsReceived, "BUFF", false),
+        ...buildEffectUptimeRows(entity.debuffsReceived, "DEBUFF", false)
+    ];
+}
+
+// --- Encounter detection --------------------------------------------------
+
+/**
+ * Flattens DMG/DOT/HEAL events of all entities into one time-sorted list.
+ * Damage taken is not included – it mirrors damageEvents of the attacker.
+ */
+function collectCombatEvents() {
+    const events = [];
+
+    for (const entity of entities.values()) {
+        for (const e of entity.damageEvents) {
+            events.push({
+                timestamp: e.timestamp,
+                source: entity.name,
+                target: e.target,
+                damage: e.amount,
+                healing: 0
+            });
+        }
+        for (const e of entity.healEvents) {
+            events.push({
+                timestamp: e.timestamp,
+                source: entity.name,
+                target: e.target,
+                damage: 0,
+                healing: e.amount
+            });
+        }
+    }
+
+    events.sort((a, b) => a.timestamp - b.timestamp);
+    return events;
+}
+
+/**
+ * Splits the log into encounters separated by idle gaps longer than
+ * idleGapSeconds. Each encounter keeps its bounds, participants, totals
+ * and the entity that took the most damage (usually the boss).
+ */
+function detectEncounters(idleGapSeconds = encounterSettings.idleGapSeconds) {
+    const events = collectCombatEvents();
+    const found = [];
+    let current = null;
+
+    for (const e of events) {
+        if (!current || e.timestamp - current.end > idleGapSeconds) {
+            current = {
+                start: e.timestamp,
+                end: e.timestamp,
+                eventCount: 0,
+                totalDamage: 0,
+                totalHealing: 0,
+                participants: new Set(),
+                damageTakenByTarget: new Map()
+            };
+            found.push(current);
+        }
+
+        current.end = e.timestamp;
+        current.eventCount++;
+        current.totalDamage += e.damage;
+        current.totalHealing += e.healing;
+        if (e.source) current.participants.add(e.source);
+        if (e.target) current.participants.add(e.target);
+
+        if (e.damage > 0 && e.target) {
+            const prev = current.damageTakenByTarget.get(e.target) || 0;
+            current.damageTakenByTarget.set(e.target, prev + e.damage);
+        }
+    }
+
+    return found
+        .filter(enc => enc.end - enc.start >= encounterSettings.minDurationSeconds)
+        .map((enc, index) => {
+            let mainTarget = null;
+            let mainTargetDamage = 0;
+            for (const [name, amount] of enc.damageTakenByTarget) {
+                if (amount > mainTargetDamage) {
+                    mainTarget = name;
+                    mainTargetDamage = amount;
+                }
+            }
+
+            return {
+                id: index + 1,
+                start: enc.start,
+                end: enc.end,
+                duration: enc.end - enc.start,
+                eventCount: enc.eventCount,
+                totalDamage: enc.totalDamage,
+                totalHealing: enc.totalHealing,
+                participants: Array.from(enc.participants).sort((a, b) => a.localeCompare(b)),
+                mainTarget
+            };
+        });
+}
+
+// --- Rotation -------------------------------------------------------------
+
+// DOT ticks of a skill on one target further apart than this belong to
+// separate applications
+const ROTATION_DOT_GAP_SECONDS = 6;
+
+// source-side event lists shown in the rotation, with the lane they go to
+const ROTATION_LANE_SOURCES = [
+    {field: "damageEvents", kind: "damage", name: e => e.skill},
+    {field: "healEvents", kind: "heal", name: e => e.skill},
+    {field: "buffsApplied", kind: "buff", name: e => e.effectName},
+    {field: "debuffsApplied", kind: "debuff", name: e => e.effectName}
+];
+
+/**
+ * Groups the DOT ticks of one skill on one target into applications. An
+ * application starts at a direct hit or debuff of the same name on that
+ * target (anchors, sorted timestamps) shortly before a tick, or at the
+ * tick itself after a pause of more than ROTATION_DOT_GAP_SECONDS.
+ * Returns [{target, start, end, ticks, total}].
+ */
+function groupDotTicks(target, ticks, anchors) {
+    const groups = [];
+    let group = null;
+    let anchorIndex = 0;
+
+    for (const tick of ticks) {
+        while (anchorIndex < anchors.length && anchors[anchorIndex] <= tick.timestamp) anchorIndex++;
+        const anchor = anchorIndex ? anchors[anchorIndex - 1] : null;
+        const freshAnchor = anchor !== null && tick.timestamp - anchor <= ROTATION_DOT_GAP_SECONDS &&
+            (!group || anchor > group.start);
+
+        if (!group || freshAnchor || tick.timestamp - group.end > ROTATION_DOT_GAP_SECONDS) {
+            group = {target, start: freshAnchor ? anchor : tick.timestamp, end: tick.timestamp, ticks: [], total: 0};
+            groups.push(group);
+        }
+
+        group.end = tick.timestamp;
+        group.ticks.push(tick);
+        group.total += tick.amount;
+    }
+
+    return groups;
+}
+
+/**
+ * What the entity did inside range, lane by lane, for the rotation view:
+ *   lanes: [{name, kind, uses, dots}] in order of first use, one per skill
+ *     ("damage", "heal") or effect ("buff", "debuff"); uses are the
+ *     events of the lane except DOT ticks, dots the tick groups of
+ *     groupDotTicks
+ *   gaps: [{start, end}] of at least gapSeconds without a use or DoT
+ *     application between two of them
+ */
+function buildRotation(entity, gapSeconds, range = getCurrentTimeFrameRange()) {
+    const lanes = new Map();
+    const {start, end} = range;
+    // a DoT applied just before the time frame still owns its ticks
+    const anchorStart = start === null ? null : start - ROTATION_DOT_GAP_SECONDS;
+
+    function getLane(kind, name) {
+        const key = kind + ":" + name;
+        if (!lanes.has(key)) lanes.set(key, {name, kind, first: Infinity, uses: [], dots: []});
+        return lanes.get(key);
+    }
+
+    for (const source of ROTATION_LANE_SOURCES) {
+        for (const e of getEventsInRange(entity[source.field], start, end)) {
+            if (e.type === "DOT") continue;
+            const lane = getLane(source.kind, source.name(e));
+            lane.uses.push(e);
+            lane.first = Math.min(lane.first, e.timestamp);
+        }
+    }
+
+    // DOT ticks per skill and target, anchored by direct hits and debuffs
+    // of the same name
+    const ticksByKey = new Map();
+    const anchorsByKey = new Map();
+    const addTo = (map, key, value) => {
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(value);
+    };
+
+    for (const e of getEventsInRange(entity.damageEvents, anchorStart, end)) {
+        const key = e.skill + "\u0000" + e.target;
+        if (e.type !== "DOT") {
+            addTo(anchorsByKey, key, e.timestamp);
+        } else if (start === null || e.timestamp >= start) {
+            addTo(ticksByKey, key, e);
+        }
+    }
+    for (const e of getEventsInRange(entity.debuffsApplied, anchorStart, end)) {
+        addTo(anchorsByKey, e.effectName + "\u0000" + e.target, e.timestamp);
+    }
+
+    for (const [key, ticks] of ticksByKey) {
+        const [skill, target] = key.split("\u0000");
+        const anchors = (anchorsByKey.get(key) || []).sort((a, b) => a - b);
+        const lane = getLane("damage", skill);
+        for (const group of groupDotTicks(target, ticks, anchors)) {
+            lane.dots.push(group);
+            lane.first = Math.min(lane.first, group.start);
+        }
+    }
+
+    const actions = [];
+    for (const lane of lanes.values()) {
+        lane.dots.sort((a, b) => a.start - b.start);
+        for (const e of lane.uses) actions.push(e.timestamp);
+        for (const group of lane.dots) actions.push(group.start);
+    }
+    actions.sort((a, b) => a - b);
+
+    const gaps = [];
+    for (let i = 1; i < actions.length; i++) {
+        if (actions[i] - actions[i - 1] >= gapSeconds) {
+            gaps.push({start: actions[i - 1], end: actions[i]});
+        }
+    }
+
+    return {
+        lanes: Array.from(lanes.values()).sort((a, b) => a.first - b.first),
+        gaps
+    };
+}
+
+// --- Aggregation for current time frame -----------------------------------
+
+/**
+ * The events of a damage array (damageEvents, damageTakenEvents) that
+ * damageTypeFilter counts.
+ */
+function getCountedDamageEvents(events) {
+    if (damageTypeFilter.direct && damageTypeFilter.dot) return events;
+    return getEventsOfType(events, damageTypeFilter.direct ? "DMG" : "DOT");
+}
+
+function getDamageTypeLabel() {
+    if (damageTypeFilter.direct && damageTypeFilter.dot) return "Direct + DoT";
+    return damageTypeFilter.direct ? "Direct only" : "DoT only";
+}
+
+function isInCurrentTimeFrame(timestamp) {
+    if (!timeFilter.enabled) return true;
+    return timestamp >= timeFilter.start && timestamp <= timeFilter.end;
+}
+
+/**
+ * [start, end] to look up in the event store; nulls (open ended) when
+ * the filter is off, so the whole log is used.
+ */
+function getCurrentTimeFrameRange() {
+    return timeFilter.enabled
+        ? {start: timeFilter.start, end: timeFilter.end}
+        : {start: null, end: null};
+}
+
+/**
+ * Events of the array inside the current time frame, sorted by time.
+ */
+function getEventsInCurrentTimeFrame(events) {
+    const {start, end} = getCurrentTimeFrameRange();
+    return getEventsInRange(events, start, end);
+}
+
+function getCurrentTimeFrameBounds() {
+    return {
+        start: timeFilter.enabled ? timeFilter.start : timeBounds.min,
+        end: timeFilter.enabled ? timeFilter.end : timeBounds.max
+    };
+}
+
+/**
+ * Length of the current time frame in seconds (at least 1, so rates
+ * never divide by zero).
+ */
+function getCurrentTimeFrameDuration() {
+    const {start, end} = getCurrentTimeFrameBounds();
+    if (start == null || end == null) return 1;
+    return Math.max(1, end - start);
+}
+
+/**
+ * Sums the amounts of the events inside the current time frame and
+ * remembers the first/last timestamp, i.e. the entity's active time.
+ * Served from the event store's prefix sums.
+ */
+function sumEventsInCurrentTimeFrame(events) {
+    return sumEventListsInCurrentTimeFrame([events]);
+}
+
+/**
+ * Same over several event arrays (an owner and its pets); the active time
+ * runs from the earliest to the latest event of any of them.
+ */
+function sumEventListsInCurrentTimeFrame(lists) {
+    const {start, end} = getCurrentTimeFrameRange();
+    let total = 0;
+    let overheal = 0;
+    let first = null;
+    let last = null;
+
+    for (const events of lists) {
+        const sum = sumSeriesInRange(getEventSeries(events), start, end);
+        if (!sum.count) continue;
+
+        total += sum.total;
+        overheal += sum.overheal;
+        first = first === null ? sum.first : Math.min(first, sum.first);
+        last = last === null ? sum.last : Math.max(last, sum.last);
+    }
+
+    const activeSeconds = first !== null ? Math.max(1, last - first) : 0;
+    return {total, overheal, activeSeconds};
+}
+
+/**
+ * True if any heal of the session carries overheal. combatlogger only
+ * marks it through an OVERHEAL hitType (see inferOverheal), which most
+ * logs never write; without one the effective/overheal figures merely
+ * repeat the raw healing and are left out of tables and exports.
+ */
+function sessionHasOverheal() {
+    for (const entity of entities.values()) {
+        const series = getEventSeries(entity.healEvents);
+        if (series.prefixOverheal[series.events.length] > 0) return true;
+    }
+    return false;
+}
+
+/**
+ * Build a list of entities with damageDone/healingDone/damageReceived
+ * aggregated over the current time frame only, plus per-second rates
+ * over the whole window and over the entity's own active time.
+ * Outgoing amounts of pets are counted for their owner (see pets.js).
+ */
+function buildAggregatedEntitiesForCurrentTimeFrame() {
+    const result = [];
+    const windowSeconds = getCurrentTimeFrameDuration();
+    const {start, end} = getCurrentTimeFrameRange();
+    const perSecond = (amount, seconds) => seconds > 0 ? amount / seconds : 0;
+
+    for (const entity of entities.values()) {
+        // the entity plus its pets, or nobody for a merged pet
+        const outgoing = getPetOwner(entity.name) ? [] : [entity, ...getEntityPets(entity.name)];
+
+        const damageLists = outgoing.map(e => getCountedDamageEvents(e.damageEvents));
+        const damage = sumEventListsInCurrentTimeFrame(damageLists);
+        const damageDot = sumEventListsInCurrentTimeFrame(damageLists.map(list => getEventsOfType(list, "DOT")));
+        const healing = sumEventListsInCurrentTimeFrame(outgoing.map(e => e.healEvents));
+        const healed = sumEventsInCurrentTimeFrame(entity.healTakenEvents);
+        const takenEvents = getCountedDamageEvents(entity.damageTakenEvents);
+        const taken = sumEventsInCurrentTimeFrame(takenEvents);
+        const takenDot = sumEventsInCurrentTimeFrame(getEventsOfType(takenEvents, "DOT"));
+
+        const bySide = {damageToEnemies: 0, friendlyFire: 0};
+        for (const member of outgoing) {
+            const split = splitDamageBySide(member, start, end);
+            bySide.damageToEnemies += split.damageToEnemies;
+            bySide.friendlyFire += split.friendlyFire;
+        }
+
+        result.push({
+            name: entity.name,
+            team: getEntityTag(entity.name),
+            damageDone: damage.total,
+            damageDirect: damage.total - damageDot.total,
+            damageDot: damageDot.total,
+            damageToEnemies: bySide.damageToEnemies,
+            friendlyFire: bySide.friendlyFire,
+            healingDone: healing.total,
+            healingDoneEffective: healing.total - healing.overheal,
+            overhealPct: healing.total > 0 ? (healing.overheal / healing.total) * 100 : 0,
+            healingReceived: healed.total,
+            healingReceivedEffective: healed.total - healed.overheal,
+            damageReceived: taken.total,
+            damageReceivedDirect: taken.total - takenDot.total,
+            damageReceivedDot: takenDot.total,
+
+            dps: perSecond(damage.total, windowSeconds),
+            dpsActive: perSecond(damage.total, damage.activeSeconds),
+            hps: perSecond(healing.total, windowSeconds),
+            hpsActive: perSecond(healing.total, healing.activeSeconds),
+            hpsReceived: perSecond(healed.total, windowSeconds),
+            dtps: perSecond(taken.total, windowSeconds),
+            dtpsActive: perSecond(taken.total, taken.activeSeconds)
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Resources given and received over the current time frame, one row per
+ * entity and pool (MANA, ...) as amounts of different pools do not add
+ * up: {name, team, pool, resourcesGiven, resourcesReceived,
+ * resourcesReceivedPerSecond}. Pets give for their owner (see pets.js).
+ */
+function buildResourceRowsForCurrentTimeFrame() {
+    const result = [];
+    const windowSeconds = getCurrentTimeFrameDuration();
+
+    for (const entity of entities.values()) {
+        const outgoing = getPetOwner(entity.name) ? [] : [entity, ...getEntityPets(entity.name)];
+        const byPool = new Map();
+        const poolRow = (e) => {
+            const pool = e.pool || "(unknown)";
+            if (!byPool.has(pool)) {
+                byPool.set(pool, {
+                    name: entity.name,
+                    team: getEntityTag(entity.name),
+                    pool,
+                    resourcesGiven: 0,
+                    resourcesReceived: 0,
+                    resourcesReceivedPerSecond: 0
+                });
+            }
+            return byPool.get(pool);
+        };
+
+        for (const member of outgoing) {
+            for (const e of getEventsInCurrentTimeFrame(member.energizeEvents)) {
+                poolRow(e).resourcesGiven += e.amount;
+            }
+        }
+        for (const e of getEventsInCurrentTimeFrame(entity.energizeReceivedEvents)) {
+            poolRow(e).resourcesReceived += e.amount;
+        }
+
+        for (const row of byPool.values()) {
+            row.resourcesReceivedPerSecond = row.resourcesReceived / windowSeconds;
+            result.push(row);
+        }
+    }
+
+    return result;
+}
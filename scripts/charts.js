@@ -0,0 +1,288 @@
+// --- Timeline charts --------------------------------------------------------
+//
+// Canvas line chart of damage done / healing done / damage taken over the
+// current time frame, one series per selected entity. Dragging across the
+// plot narrows timeFilter to the selected range.
+
+const CHART_COLORS = [
+    "#e6194b", "#3cb44b", "#4363d8", "#f58231", "#911eb4",
+    "#46f0f0", "#f032e6", "#bcf60c", "#fabebe", "#ffe119"
+];
+
+// how many entities are plotted when nothing is picked in the list
+const CHART_DEFAULT_SERIES = 5;
+
+const CHART_PADDING = {left: 60, right: 12, top: 12, bottom: 28};
+
+// damage metrics follow the direct / DoT selection (damageTypeFilter)
+const chartMetrics = {
+    damageEvents: {label: "Damage done", damage: true},
+    healEvents: {label: "Healing done", damage: false},
+    damageTakenEvents: {label: "Damage taken", damage: true}
+};
+
+// geometry of the last drawn chart, needed to map mouse x → timestamp
+const chartState = {
+    start: null,
+    end: null,
+    plotLeft: 0,
+    plotWidth: 0,
+    dragFromX: null,
+    dragToX: null
+};
+
+function getChartEvents(entity, metric) {
+    return chartMetrics[metric].damage ? getCountedDamageEvents(entity[metric]) : entity[metric];
+}
+
+function getChartSettings() {
+    const metricSelect = document.getElementById("chartMetric");
+    const bucketInput = document.getElementById("chartBucketInput");
+
+    const metric = metricSelect && chartMetrics[metricSelect.value]
+        ? metricSelect.value
+        : "damageEvents";
+
+    let bucketSeconds = bucketInput ? Number(bucketInput.value) : 5;
+    if (Number.isNaN(bucketSeconds) || bucketSeconds < 1) bucketSeconds = 1;
+
+    return {metric, bucketSeconds};
+}
+
+/**
+ * Entities picked in the multi-select, or the top N by the chosen metric
+ * in the current time frame when nothing is picked.
+ */
+function getChartEntityNames(metric) {
+    const select = document.getElementById("chartEntitySelect");
+    const picked = select
+        ? Array.from(select.options).filter(o => o.selected).map(o => o.value)
+        : [];
+
+    if (picked.length) {
+        return picked.filter(name => entities.has(name));
+    }
+
+    const totals = [];
+    for (const entity of entities.values()) {
+        const {total} = sumEventsInCurrentTimeFrame(getChartEvents(entity, metric));
+        if (total > 0) totals.push([entity.name, total]);
+    }
+
+    totals.sort((a, b) => b[1] - a[1]);
+    return totals.slice(0, CHART_DEFAULT_SERIES).map(([name]) => name);
+}
+
+/**
+ * Buckets the entity's events of the given metric into per-second rates
+ * between start and end.
+ */
+function buildChartSeries(entity, metric, start, end, bucketSeconds) {
+    const bucketCount = Math.max(1, Math.ceil((end - start) / bucketSeconds));
+    const values = new Array(bucketCount).fill(0);
+
+    for (const e of getEventsInRange(getChartEvents(entity, metric), start, end)) {
+        const index = Math.min(bucketCount - 1, Math.floor((e.timestamp - start) / bucketSeconds));
+        values[index] += e.amount;
+    }
+
+    return values.map(v => v / bucketSeconds);
+}
+
+function updateChartEntityOptions() {
+    const select = document.getElementById("chartEntitySelect");
+    if (!select) return;
+
+    select.innerHTML = "";
+
+    const names = Array.from(entities.keys()).sort((a, b) => a.localeCompare(b));
+    for (const name of names) {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    }
+}
+
+function formatChartTime(ts) {
+    return new Date(ts * 1000).toLocaleTimeString();
+}
+
+function formatChartValue(value) {
+    if (value >= 1e6) return (value / 1e6).toFixed(1) + "M";
+    if (value >= 1e3) return (value / 1e3).toFixed(1) + "k";
+    return Math.round(value).toString();
+}
+
+function renderTimelineChart() {
+    const canvas = document.getElementById("timelineChart");
+    const legend = document.getElementById("chartLegend");
+    if (!canvas || !legend) return;
+    // drawn when the section is opened
+    if (document.getElementById("chartBody").classList.contains("collapsed")) return;
+
+    const ctx = canvas.getContext("2d");
+    if (canvas.clientWidth) canvas.width = canvas.clientWidth;
+
+    const width = canvas.width;
+    const height = canvas.height;
+    ctx.clearRect(0, 0, width, height);
+
+    const {start, end} = getCurrentTimeFrameBounds();
+
+    chartState.start = start;
+    chartState.end = end;
+    chartState.plotLeft = CHART_PADDING.left;
+    chartState.plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+
+    if (start == null || end == null || !entities.size) {
+        legend.innerHTML = "";
+        return;
+    }
+
+    const {metric, bucketSeconds} = getChartSettings();
+    const names = getChartEntityNames(metric);
+
+    const series = names.map((name, i) => ({
+        name,
+        color: CHART_COLORS[i % CHART_COLORS.length],
+        values: buildChartSeries(entities.get(name), metric, start, end, bucketSeconds)
+    }));
+
+    let maxValue = 0;
+    for (const s of series) {
+        for (const v of s.values) {
+            if (v > maxValue) maxValue = v;
+        }
+    }
+    if (maxValue <= 0) maxValue = 1;
+
+    const plotTop = CHART_PADDING.top;
+    const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom;
+    const plotLeft = chartState.plotLeft;
+    const plotWidth = chartState.plotWidth;
+    const duration = Math.max(1, end - start);
+
+    const xFor = ts => plotLeft + ((ts - start) / duration) * plotWidth;
+    const yFor = v => plotTop + plotHeight - (v / maxValue) * plotHeight;
+
+    // Grid + axis labels
+    ctx.strokeStyle = "#333";
+    ctx.fillStyle = "#aaa";
+    ctx.lineWidth = 1;
+    ctx.font = "11px Arial";
+
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    for (let i = 0; i <= 4; i++) {
+        const v = (maxValue / 4) * i;
+        const y = yFor(v);
+        ctx.beginPath();
+        ctx.moveTo(plotLeft, y);
+        ctx.lineTo(plotLeft + plotWidth, y);
+        ctx.stroke();
+        ctx.fillText(formatChartValue(v) + "/s", plotLeft - 6, y);
+    }
+
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    for (let i = 0; i <= 5; i++) {
+        const ts = start + (duration / 5) * i;
+        ctx.fillText(formatChartTime(ts), xFor(ts), plotTop + plotHeight + 6);
+    }
+
+    // Series
+    ctx.lineWidth = 1.5;
+    for (const s of series) {
+        ctx.strokeStyle = s.color;
+        ctx.beginPath();
+        s.values.forEach((v, i) => {
+            const x = xFor(start + (i + 0.5) * bucketSeconds);
+            const y = yFor(v);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    }
+
+    // Drag selection overlay
+    if (chartState.dragFromX !== null && chartState.dragToX !== null) {
+        const x1 = Math.min(chartState.dragFromX, chartState.dragToX);
+        const x2 = Math.max(chartState.dragFromX, chartState.dragToX);
+        ctx.fillStyle = "rgba(255, 255, 255, 0.12)";
+        ctx.fillRect(x1, plotTop, x2 - x1, plotHeight);
+    }
+
+    legend.innerHTML = series.length
+        ? series.map(s =>
+            `<span class="chart-legend-item"><span class="chart-legend-swatch" style="background:${s.color}"></span>${escapeHtml(s.name)}</span>`
+        ).join("")
+        : "<small>No " + chartMetrics[metric].label.toLowerCase() + " in this time frame.</small>";
+}
+
+function chartXToTimestamp(x) {
+    const {start, end, plotLeft, plotWidth} = chartState;
+    const clamped = Math.min(Math.max(x, plotLeft), plotLeft + plotWidth);
+    return start + ((clamped - plotLeft) / plotWidth) * (end - start);
+}
+
+function setupTimelineChartUI() {
+    const canvas = document.getElementById("timelineChart");
+    if (!canvas) return;
+
+    const mouseX = e => e.clientX - canvas.getBoundingClientRect().left;
+
+    canvas.addEventListener("mousedown", (e) => {
+        if (chartState.start == null) return;
+        chartState.dragFromX = mouseX(e);
+        chartState.dragToX = chartState.dragFromX;
+    });
+
+    canvas.addEventListener("mousemove", (e) => {
+        if (chartState.dragFromX === null) return;
+        chartState.dragToX = mouseX(e);
+        renderTimelineChart();
+    });
+
+    const finishDrag = () => {
+        if (chartState.dragFromX === null) return;
+
+        const fromX = chartState.dragFromX;
+        const toX = chartState.dragToX;
+        chartState.dragFromX = null;
+        chartState.dragToX = null;
+
+        // ignore plain clicks
+        if (Math.abs(toX - fromX) < 5) {
+            renderTimelineChart();
+            return;
+        }
+
+        const start = Math.floor(chartXToTimestamp(Math.min(fromX, toX)));
+        const end = Math.ceil(chartXToTimestamp(Math.max(fromX, toX)));
+        setTimeFilter(start, end, "chart selection");
+    };
+
+    canvas.addEventListener("mouseup", finishDrag);
+    canvas.addEventListener("mouseleave", finishDrag);
+
+    document.getElementById("chartMetric").addEventListener("change", renderTimelineChart);
+    document.getElementById("chartBucketInput").addEventListener("change", renderTimelineChart);
+    document.getElementById("chartEntitySelect").addEventListener("change", renderTimelineChart);
+
+    document.getElementById("chartClearSelection").addEventListener("click", () => {
+        const select = document.getElementById("chartEntitySelect");
+        for (const option of select.options) option.selected = false;
+        renderTimelineChart();
+    });
+
+    const chartBody = document.getElementById("chartBody");
+    const chartIcon = document.getElementById("chartToggleIcon");
+    document.getElementById("chartCollapseToggle").addEventListener("click", () => {
+        const collapsed = chartBody.classList.toggle("collapsed");
+        chartIcon.textContent = collapsed ? "▶" : "▼";
+        if (!collapsed) renderTimelineChart();
+    });
+}
+
+document.addEventListener("DOMContentLoaded", setupTimelineChartUI);
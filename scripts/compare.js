@@ -0,0 +1,307 @@
+// --- Compare mode -------------------------------------------------------------
+//
+// Two "sides" side by side, each an entity in a time window of a session:
+// two players on the same fight, one player on two fights, or one player
+// across two saved sessions. Per-skill damage and healing (amount, hits,
+// crit %) and buff application counts are lined up by name with B − A
+// deltas.
+
+// saved sessions loaded for comparing: id → {meta, entities, timeBounds}
+const compareSessionCache = new Map();
+
+const COMPARE_SIDES = ["A", "B"];
+
+async function getCompareSession(sessionValue) {
+    if (!sessionValue) {
+        return {
+            meta: null,
+            entities,
+            timeBounds
+        };
+    }
+
+    const id = Number(sessionValue);
+    if (!compareSessionCache.has(id)) {
+        const {meta, data} = await loadSavedSession(id);
+        compareSessionCache.set(id, {
+            meta,
+            entities: new Map(data.entities),
+            timeBounds: data.timeBounds
+        });
+    }
+    return compareSessionCache.get(id);
+}
+
+/**
+ * Window choices for a side: value → {label, start, end}. The current
+ * session offers its current time frame and encounters, a saved one its
+ * saved time frames; both offer the full log.
+ */
+function buildCompareWindows(session) {
+    const windows = new Map();
+
+    if (!session.meta) {
+        const {start, end} = getCurrentTimeFrameBounds();
+        windows.set("current", {label: "Current time frame", start, end});
+    }
+
+    windows.set("full", {label: "Full log", start: session.timeBounds.min, end: session.timeBounds.max});
+
+    if (!session.meta) {
+        for (const enc of encounters) {
+            windows.set("enc:" + enc.id, {
+                label: "Encounter #" + enc.id + (enc.mainTarget ? " – " + enc.mainTarget : ""),
+                start: enc.start,
+                end: enc.end
+            });
+        }
+    } else {
+        const filters = [session.meta.lastFilter, ...session.meta.timeFilters].filter(Boolean);
+        filters.forEach((filter, index) => {
+            windows.set("saved:" + index, {
+                label: filter.label || "Saved time frame " + (index + 1),
+                start: filter.start,
+                end: filter.end
+            });
+        });
+    }
+
+    return windows;
+}
+
+function countEffectsByName(events, range) {
+    const counts = new Map();
+    for (const e of getEventsInRange(events, range.start, range.end)) {
+        const name = e.effectName || "(unknown)";
+        counts.set(name, (counts.get(name) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Everything compared for one side.
+ */
+function buildCompareSide(entity, frame) {
+    const range = {start: frame.start, end: frame.end};
+    const seconds = Math.max(1, frame.end - frame.start);
+
+    const damage = buildSkillHitStats(getCountedDamageEvents(entity.damageEvents), range);
+    const healing = buildSkillHitStats(entity.healEvents, range);
+    const sumTotals = stats => Array.from(stats.values()).reduce((sum, s) => sum + s.total, 0);
+
+    return {
+        name: entity.name,
+        frame,
+        seconds,
+        damage,
+        healing,
+        damageTotal: sumTotals(damage),
+        healingTotal: sumTotals(healing),
+        buffsApplied: countEffectsByName([...entity.buffsApplied, ...entity.debuffsApplied], range),
+        buffsReceived: countEffectsByName(entity.buffsReceived, range)
+    };
+}
+
+// --- Rendering ----------------------------------------------------------------
+
+function formatDelta(value, format = v => Math.round(v).toLocaleString()) {
+    if (!value) return `<td class="compare-delta">0</td>`;
+    const cls = value > 0 ? "compare-delta compare-delta--up" : "compare-delta compare-delta--down";
+    return `<td class="${cls}">${value > 0 ? "+" : "−"}${format(Math.abs(value))}</td>`;
+}
+
+function renderCompareSkillTable(title, statsA, statsB) {
+    const skills = Array.from(new Set([...statsA.keys(), ...statsB.keys()]));
+    if (!skills.length) return "";
+
+    const empty = createHitStats();
+    const critPct = s => s.landed ? (s.crits / s.landed) * 100 : 0;
+    skills.sort((x, y) =>
+        Math.max((statsB.get(y) || empty).total, (statsA.get(y) || empty).total) -
+        Math.max((statsB.get(x) || empty).total, (statsA.get(x) || empty).total));
+
+    let html = `<h3>${title}</h3>
+    <table class="compare-table"><thead><tr>
+      <th>Skill</th><th>A</th><th>B</th><th>Δ</th>
+      <th>Hits A</th><th>Hits B</th><th>Δ</th>
+      <th>Crit % A</th><th>Crit % B</th>
+    </tr></thead><tbody>`;
+
+    for (const skill of skills) {
+        const a = statsA.get(skill) || empty;
+        const b = statsB.get(skill) || empty;
+        html += `<tr>
+        <td>${escapeHtml(skill)}</td>
+        <td>${a.total.toLocaleString()}</td>
+        <td>${b.total.toLocaleString()}</td>
+        ${formatDelta(b.total - a.total)}
+        <td>${a.hits}</td>
+        <td>${b.hits}</td>
+        ${formatDelta(b.hits - a.hits)}
+        <td>${critPct(a).toFixed(1)}%</td>
+        <td>${critPct(b).toFixed(1)}%</td>
+      </tr>`;
+    }
+
+    html += `</tbody></table>`;
+    return html;
+}
+
+function renderCompareCountTable(title, countsA, countsB) {
+    const names = Array.from(new Set([...countsA.keys(), ...countsB.keys()])).sort((x, y) => x.localeCompare(y));
+    if (!names.length) return "";
+
+    let html = `<h3>${title}</h3>
+    <table class="compare-table"><thead><tr>
+      <th>Effect</th><th>A</th><th>B</th><th>Δ</th>
+    </tr></thead><tbody>`;
+
+    for (const name of names) {
+        const a = countsA.get(name) || 0;
+        const b = countsB.get(name) || 0;
+        html += `<tr><td>${escapeHtml(name)}</td><td>${a}</td><td>${b}</td>${formatDelta(b - a)}</tr>`;
+    }
+
+    html += `</tbody></table>`;
+    return html;
+}
+
+function renderCompareResult(a, b) {
+    const container = document.getElementById("compareContainer");
+    const perSecond = (side, field) => side[field] / side.seconds;
+
+    let html = `<table class="compare-table compare-overview"><thead><tr>
+      <th></th><th>A</th><th>B</th><th>Δ</th>
+    </tr></thead><tbody>
+      <tr><td>Entity</td><td>${escapeHtml(a.name)}</td><td>${escapeHtml(b.name)}</td><td></td></tr>
+      <tr><td>Window</td><td>${escapeHtml(a.frame.label)}</td><td>${escapeHtml(b.frame.label)}</td><td></td></tr>
+      <tr><td>Duration</td><td>${formatDuration(a.seconds)}</td><td>${formatDuration(b.seconds)}</td>${formatDelta(b.seconds - a.seconds, formatDuration)}</tr>
+      <tr><td>Damage</td><td>${a.damageTotal.toLocaleString()}</td><td>${b.damageTotal.toLocaleString()}</td>${formatDelta(b.damageTotal - a.damageTotal)}</tr>
+      <tr><td>DPS</td><td>${formatRate(perSecond(a, "damageTotal"))}</td><td>${formatRate(perSecond(b, "damageTotal"))}</td>${formatDelta(perSecond(b, "damageTotal") - perSecond(a, "damageTotal"))}</tr>
+      <tr><td>Healing</td><td>${a.healingTotal.toLocaleString()}</td><td>${b.healingTotal.toLocaleString()}</td>${formatDelta(b.healingTotal - a.healingTotal)}</tr>
+      <tr><td>HPS</td><td>${formatRate(perSecond(a, "healingTotal"))}</td><td>${formatRate(perSecond(b, "healingTotal"))}</td>${formatDelta(perSecond(b, "healingTotal") - perSecond(a, "healingTotal"))}</tr>
+    </tbody></table>`;
+
+    html += `<div class="compare-grid">
+    <div class="entity-subsection entity-subsection--dmg">${renderCompareSkillTable("Damage by skill", a.damage, b.damage) || "<p><small>No damage on either side.</small></p>"}</div>
+    <div class="entity-subsection entity-subsection--heal">${renderCompareSkillTable("Healing by skill", a.healing, b.healing) || "<p><small>No healing on either side.</small></p>"}</div>
+    <div class="entity-subsection entity-subsection--buff">
+      ${renderCompareCountTable("Buffs / debuffs applied", a.buffsApplied, b.buffsApplied) || "<p><small>No effects applied.</small></p>"}
+      ${renderCompareCountTable("Buffs received", a.buffsReceived, b.buffsReceived)}
+    </div>
+  </div>`;
+
+    container.innerHTML = html;
+}
+
+// --- Controls -----------------------------------------------------------------
+
+async function updateCompareSessionOptions() {
+    // saved sessions may have been renamed, deleted or given new time frames
+    compareSessionCache.clear();
+
+    let sessions = [];
+    try {
+        if (typeof indexedDB !== "undefined") sessions = await listSavedSessions();
+    } catch (err) {
+        // no library, compare within the current session only
+    }
+
+    for (const side of COMPARE_SIDES) {
+        const select = document.getElementById("compareSession" + side);
+        const previous = select.value;
+        select.innerHTML = `<option value="">Current session</option>` + sessions
+            .map(meta => `<option value="${meta.id}">${escapeHtml(meta.name)}</option>`)
+            .join("");
+        if (sessions.some(meta => String(meta.id) === previous)) select.value = previous;
+        await updateCompareWindowOptions(side);
+    }
+}
+
+async function updateCompareWindowOptions(side) {
+    const select = document.getElementById("compareWindow" + side);
+    const previous = select.value;
+
+    let windows;
+    try {
+        windows = buildCompareWindows(await getCompareSession(document.getElementById("compareSession" + side).value));
+    } catch (err) {
+        windows = new Map();
+    }
+
+    select.innerHTML = Array.from(windows.entries())
+        .map(([value, w]) => `<option value="${value}">${escapeHtml(w.label)}</option>`)
+        .join("");
+    if (windows.has(previous)) select.value = previous;
+}
+
+async function runCompare() {
+    const container = document.getElementById("compareContainer");
+    const sides = [];
+
+    try {
+        for (const side of COMPARE_SIDES) {
+            const session = await getCompareSession(document.getElementById("compareSession" + side).value);
+            const name = document.getElementById("compareEntity" + side).value.trim();
+            const frame = buildCompareWindows(session).get(document.getElementById("compareWindow" + side).value);
+
+            const entity = session.entities.get(name);
+            if (!entity) {
+                container.innerHTML = `<p><small>${side}: entity not found: ${escapeHtml(name || "(empty)")}</small></p>`;
+                return;
+            }
+            if (!frame || frame.start == null) {
+                container.innerHTML = `<p><small>${side}: pick a time window.</small></p>`;
+                return;
+            }
+
+            sides.push(buildCompareSide(entity, frame));
+        }
+    } catch (err) {
+        container.innerHTML = `<p><small>Compare failed: ${escapeHtml(err.message || String(err))}</small></p>`;
+        return;
+    }
+
+    renderCompareResult(sides[0], sides[1]);
+}
+
+function setupCompareUI() {
+    for (const side of COMPARE_SIDES) {
+        document.getElementById("compareSession" + side)
+            .addEventListener("change", () => updateCompareWindowOptions(side));
+    }
+
+    document.getElementById("compareButton").addEventListener("click", runCompare);
+
+    document.getElementById("compareSwapButton").addEventListener("click", async () => {
+        const values = id => COMPARE_SIDES.map(side => document.getElementById(id + side).value);
+        const [sessionA, sessionB] = values("compareSession");
+        const [entityA, entityB] = values("compareEntity");
+        const [windowA, windowB] = values("compareWindow");
+
+        document.getElementById("compareSessionA").value = sessionB;
+        document.getElementById("compareSessionB").value = sessionA;
+        document.getElementById("compareEntityA").value = entityB;
+        document.getElementById("compareEntityB").value = entityA;
+        await updateCompareWindowOptions("A");
+        await updateCompareWindowOptions("B");
+        document.getElementById("compareWindowA").value = windowB;
+        document.getElementById("compareWindowB").value = windowA;
+        runCompare();
+    });
+
+    const body = document.getElementById("compareBody");
+    const icon = document.getElementById("compareToggleIcon");
+    document.getElementById("compareToggle").addEventListener("click", () => {
+        const collapsed = body.classList.toggle("collapsed");
+        icon.textContent = collapsed ? "▶" : "▼";
+        if (collapsed) return;
+
+        // start from the entity shown in the details view
+        const entityA = document.getElementById("compareEntityA");
+        if (!entityA.value && selectedEntityName) entityA.value = selectedEntityName;
+        updateCompareSessionOptions();
+    });
+}
+
+document.addEventListener("DOMContentLoaded", setupCompareUI);
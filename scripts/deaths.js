@@ -0,0 +1,302 @@
+// --- Deaths / death recap -----------------------------------------------------
+//
+// combatlogger has no death line, so deaths are inferred:
+//   1. explicit DEATH/KILL lines, if the logger version writes them
+//   2. a damage event whose hitType marks a killing blow
+//   3. optionally, a damage event whose pool is numeric and <= 0. The pool
+//      column names the resource hit (HEALTH, MANA, see log-formats.js);
+//      this is only for logger builds known to write remaining health
+//      there instead, and off by default so a numeric pool id cannot
+//      invent deaths
+//   4. an entity that took damage and then went silent (no event as source
+//      or target) for silenceSeconds while the log goes on – on by default,
+//      as current logs have nothing else to go by
+// Signals for the same entity within DEATH_MERGE_SECONDS count as one
+// death. The recap shows what happened to the entity right before it.
+
+const deathSettings = {
+    killingBlowHitTypes: new Set(["KILLING_BLOW", "KILL", "FATAL", "DEATH"]),
+    zeroPoolIsDeath: false,
+    silenceSeconds: 20,  // 0 = heuristic off
+    recapSeconds: 10
+};
+
+const DEATH_MERGE_SECONDS = 2;
+
+// detected deaths, rebuilt after every parse or settings change
+let deaths = [];
+
+// death currently shown in the recap (index into deaths), -1 = none
+let selectedDeathIndex = -1;
+
+/**
+ * All activity timestamps of an entity (as source or target), sorted.
+ */
+function collectEntityActivity(entity) {
+    const timestamps = [];
+    for (const list of [
+        entity.damageEvents, entity.damageTakenEvents,
+        entity.healEvents, entity.healTakenEvents,
+        entity.energizeEvents, entity.energizeReceivedEvents,
+        entity.buffsApplied, entity.buffsReceived,
+        entity.debuffsApplied, entity.debuffsReceived
+    ]) {
+        for (const e of list) timestamps.push(e.timestamp);
+    }
+    return timestamps.sort((a, b) => a - b);
+}
+
+function detectEntityDeathSignals(entity) {
+    const signals = [];
+
+    for (const e of entity.deathEvents) {
+        signals.push({timestamp: e.timestamp, killer: e.source, skill: e.skill, reason: "death event"});
+    }
+
+    for (const e of entity.damageTakenEvents) {
+        const hitType = String(e.hitType || "").toUpperCase();
+        if (deathSettings.killingBlowHitTypes.has(hitType)) {
+            signals.push({timestamp: e.timestamp, killer: e.source, skill: e.skill, reason: "killing blow"});
+            continue;
+        }
+
+        const pool = Number(e.pool);
+        if (deathSettings.zeroPoolIsDeath && e.pool !== "" && !Number.isNaN(pool) && pool <= 0) {
+            signals.push({timestamp: e.timestamp, killer: e.source, skill: e.skill, reason: "health reached 0"});
+        }
+    }
+
+    if (deathSettings.silenceSeconds > 0 && entity.damageTakenEvents.length) {
+        const activity = collectEntityActivity(entity);
+        const taken = getEventSeries(entity.damageTakenEvents);
+
+        for (let i = 0; i < activity.length; i++) {
+            const t = activity[i];
+            const next = i + 1 < activity.length ? activity[i + 1] : null;
+
+            // went quiet while the rest of the log carried on
+            const quietUntil = next !== null ? next : timeBounds.max;
+            if (quietUntil - t < deathSettings.silenceSeconds) continue;
+
+            // ...right after being hit
+            const [from, to] = getSeriesRange(taken, t, t);
+            if (from === to) continue;
+
+            const hit = taken.events[to - 1];
+            signals.push({timestamp: t, killer: hit.source, skill: hit.skill, reason: "went silent after damage"});
+        }
+    }
+
+    return signals.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+function findEncounterAt(timestamp) {
+    return encounters.find(enc => timestamp >= enc.start && timestamp <= enc.end) || null;
+}
+
+/**
+ * Deaths of every entity, sorted by time:
+ * {timestamp, name, killer, skill, reason}.
+ */
+function detectDeaths() {
+    const result = [];
+
+    for (const entity of entities.values()) {
+        let last = null;
+        for (const signal of detectEntityDeathSignals(entity)) {
+            if (last && signal.timestamp - last.timestamp <= DEATH_MERGE_SECONDS) continue;
+
+            last = {
+                timestamp: signal.timestamp,
+                name: entity.name,
+                killer: signal.killer || "(unknown)",
+                skill: signal.skill || "",
+                reason: signal.reason
+            };
+            result.push(last);
+        }
+    }
+
+    return result.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Damage taken, heals received and debuffs received by the entity in the
+ * recapSeconds before (and including) the death, oldest first.
+ */
+function buildDeathRecap(death) {
+    const entity = entities.get(death.name);
+    if (!entity) return [];
+
+    const from = death.timestamp - deathSettings.recapSeconds;
+    const to = death.timestamp;
+    const rows = [];
+
+    for (const e of getEventsInRange(entity.damageTakenEvents, from, to)) {
+        rows.push({timestamp: e.timestamp, kind: "damage", source: e.source, skill: e.skill, amount: e.amount, hitType: e.hitType});
+    }
+    for (const e of getEventsInRange(entity.healTakenEvents, from, to)) {
+        rows.push({timestamp: e.timestamp, kind: "heal", source: e.source, skill: e.skill, amount: e.amount, hitType: e.hitType});
+    }
+    for (const e of getEventsInRange(entity.debuffsReceived, from, to)) {
+        rows.push({timestamp: e.timestamp, kind: "debuff", source: e.source, skill: e.effectName, amount: null, hitType: ""});
+    }
+
+    return rows.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+function readDeathSettings() {
+    const silence = Number(document.getElementById("deathSilenceInput").value);
+    const recap = Number(document.getElementById("deathRecapInput").value);
+
+    deathSettings.silenceSeconds = !Number.isNaN(silence) && silence >= 0 ? silence : 0;
+    if (!Number.isNaN(recap) && recap > 0) deathSettings.recapSeconds = recap;
+    deathSettings.zeroPoolIsDeath = document.getElementById("deathZeroPoolInput").checked;
+}
+
+function redetectDeaths() {
+    deaths = detectDeaths();
+    selectedDeathIndex = -1;
+    renderDeathList();
+}
+
+/**
+ * Why the death list is empty: whether the log has death lines at all and
+ * which heuristics are switched off.
+ */
+function describeNoDeaths() {
+    const deathLines = globalStats.byType.DEATH + globalStats.byType.KILL;
+    const off = [];
+    if (deathSettings.silenceSeconds <= 0) off.push("silence after damage");
+    if (!deathSettings.zeroPoolIsDeath) off.push("pool ≤ 0");
+
+    return "No deaths detected in this time frame. " +
+        (deathLines ? "" : "The log has no death lines. ") +
+        (off.length
+            ? "Off: " + off.join(", ") + " – see the settings above."
+            : "Adjust the settings above if deaths are missing.");
+}
+
+function renderDeathList() {
+    const container = document.getElementById("deathListContainer");
+    if (!container) return;
+
+    const visible = deaths
+        .map((death, index) => ({death, index}))
+        .filter(({death}) => isInCurrentTimeFrame(death.timestamp));
+
+    if (!visible.length) {
+        container.innerHTML = entities.size ? `<p><small>${escapeHtml(describeNoDeaths())}</small></p>` : "";
+        renderDeathRecap();
+        return;
+    }
+
+    // group by encounter (looked up here, encounters can be re-detected)
+    const groups = new Map();
+    for (const item of visible) {
+        const encounter = findEncounterAt(item.death.timestamp);
+        if (!groups.has(encounter)) groups.set(encounter, []);
+        groups.get(encounter).push(item);
+    }
+
+    let html = "";
+    for (const [encounter, items] of groups) {
+        html += encounter
+            ? `<h4>Encounter #${encounter.id}${encounter.mainTarget ? " – " + escapeHtml(encounter.mainTarget) : ""} (${items.length})</h4>`
+            : `<h4>Outside encounters (${items.length})</h4>`;
+
+        html += `<table class="death-table"><thead><tr>
+      <th>Time</th><th>Entity</th><th>Killed by</th><th>Skill</th><th>Detected from</th>
+    </tr></thead><tbody>`;
+
+        for (const {death, index} of items) {
+            html += `<tr class="death-row${index === selectedDeathIndex ? " active" : ""}" data-death-index="${index}">
+        <td>${formatTimestamp(death.timestamp)}</td>
+        <td>${escapeHtml(death.name)}</td>
+        <td>${escapeHtml(death.killer)}</td>
+        <td>${escapeHtml(death.skill)}</td>
+        <td>${death.reason}</td>
+      </tr>`;
+        }
+
+        html += `</tbody></table>`;
+    }
+
+    container.innerHTML = html;
+    renderDeathRecap();
+}
+
+function renderDeathRecap() {
+    const container = document.getElementById("deathRecapContainer");
+    if (!container) return;
+
+    const death = deaths[selectedDeathIndex];
+    if (!death) {
+        container.innerHTML = deaths.length ? "<p><small>Click a death to see its recap.</small></p>" : "";
+        return;
+    }
+
+    const rows = buildDeathRecap(death);
+    const sum = kind => rows.filter(r => r.kind === kind).reduce((total, r) => total + r.amount, 0);
+
+    let html = `<h4>Last ${deathSettings.recapSeconds}s of ${escapeHtml(death.name)} before ${formatTimestamp(death.timestamp)}</h4>
+    <p><small>Damage taken: ${sum("damage").toLocaleString()} | Healing received: ${sum("heal").toLocaleString()}</small></p>`;
+
+    if (!rows.length) {
+        html += "<p><small>Nothing happened to this entity in the recap window.</small></p>";
+        container.innerHTML = html;
+        return;
+    }
+
+    html += `<table class="death-recap-table"><thead><tr>
+      <th>T</th><th>Event</th><th>Source</th><th>Skill / effect</th><th>Amount</th><th>Hit type</th>
+    </tr></thead><tbody>`;
+
+    for (const row of rows) {
+        const offset = (row.timestamp - death.timestamp).toFixed(1) + "s";
+        const amount = row.amount == null ? "" :
+            (row.kind === "damage" ? "-" : "+") + row.amount.toLocaleString();
+
+        html += `<tr class="death-recap-${row.kind}">
+        <td>${offset}</td>
+        <td>${row.kind}</td>
+        <td>${escapeHtml(row.source || "")}</td>
+        <td>${escapeHtml(row.skill || "")}</td>
+        <td>${amount}</td>
+        <td>${escapeHtml(row.hitType || "")}</td>
+      </tr>`;
+    }
+
+    html += `</tbody></table>`;
+    container.innerHTML = html;
+}
+
+function setupDeathsUI() {
+    document.getElementById("deathListContainer").addEventListener("click", (e) => {
+        const row = e.target.closest(".death-row");
+        if (!row) return;
+        selectedDeathIndex = Number(row.dataset.deathIndex);
+        renderDeathList();
+    });
+
+    for (const id of ["deathSilenceInput", "deathZeroPoolInput"]) {
+        document.getElementById(id).addEventListener("change", () => {
+            readDeathSettings();
+            redetectDeaths();
+        });
+    }
+
+    document.getElementById("deathRecapInput").addEventListener("change", () => {
+        readDeathSettings();
+        renderDeathRecap();
+    });
+
+    const body = document.getElementById("deathsBody");
+    const icon = document.getElementById("deathsToggleIcon");
+    document.getElementById("deathsToggle").addEventListener("click", () => {
+        const collapsed = body.classList.toggle("collapsed");
+        icon.textContent = collapsed ? "▶" : "▼";
+    });
+}
+
+document.addEventListener("DOMContentLoaded", setupDeathsUI);
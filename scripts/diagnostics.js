@@ -0,0 +1,133 @@
+// --- Parse diagnostics --------------------------------------------------------
+//
+// Why lines were skipped, from globalStats.diagnostics (see log-parser.js):
+// one row per reason with its count, the kept samples (file, line number,
+// raw text) of the selected reason, and the event type names no format
+// knows. New addon event types show up here instead of only raising the
+// skip count, and open the panel by themselves.
+
+const SKIP_REASON_LABELS = {
+    columns: "Too few columns",
+    timestamp: "Timestamp is not a number",
+    type: "Unknown event type",
+    quote: "Unclosed quote"
+};
+
+// reason key whose samples are shown
+let selectedSkipReason = "";
+
+function getSkipReasonLabel(reason) {
+    if (reason.startsWith("value:")) return "Not a number: " + reason.slice("value:".length);
+    return SKIP_REASON_LABELS[reason] || reason;
+}
+
+function renderSkipSamples(reason) {
+    const entry = globalStats.diagnostics.reasons[reason];
+    if (!entry) return "";
+
+    const fileName = index => globalStats.files[index] ? globalStats.files[index].name : "?";
+    const more = entry.count - entry.samples.length;
+
+    let html = `<h4>${escapeHtml(getSkipReasonLabel(reason))}</h4>
+    <table class="diagnostics-table"><thead><tr>
+      <th>File</th><th>Line</th><th>Text</th>
+    </tr></thead><tbody>`;
+
+    for (const sample of entry.samples) {
+        html += `<tr>
+        <td>${escapeHtml(fileName(sample.file))}</td>
+        <td>${sample.line}</td>
+        <td class="diagnostics-line">${escapeHtml(sample.text)}</td>
+      </tr>`;
+    }
+
+    html += `</tbody></table>`;
+    if (more > 0) {
+        html += `<p><small>${more.toLocaleString()} more not kept.</small></p>`;
+    }
+    return html;
+}
+
+function renderDiagnostics() {
+    const container = document.getElementById("diagnosticsContainer");
+    const info = document.getElementById("diagnosticsInfo");
+    const {reasons, unknownTypes} = globalStats.diagnostics;
+
+    const reasonKeys = Object.keys(reasons).sort((a, b) => reasons[b].count - reasons[a].count);
+    const typeNames = Object.keys(unknownTypes).sort((a, b) => unknownTypes[b] - unknownTypes[a]);
+
+    info.textContent = !globalStats.files.length ? "" :
+        " – " + globalStats.skippedLines.toLocaleString() + " skipped" +
+        (typeNames.length ? ", unknown event types: " + typeNames.join(", ") : "");
+
+    if (!globalStats.files.length) {
+        container.innerHTML = "";
+        return;
+    }
+    if (!reasonKeys.length) {
+        // sessions saved before the reasons were recorded
+        container.innerHTML = globalStats.skippedLines
+            ? "<p><small>The reasons for the skipped lines were not recorded for this session.</small></p>"
+            : "<p><small>No lines were skipped.</small></p>";
+        return;
+    }
+    if (!reasons[selectedSkipReason]) selectedSkipReason = reasonKeys[0];
+
+    let html = "";
+    if (typeNames.length) {
+        html += `<p class="diagnostics-unknown-types"><strong>Unknown event types:</strong> ` +
+            typeNames.map(name => `${escapeHtml(name || "(empty)")} (${unknownTypes[name].toLocaleString()})`).join(", ") +
+            `</p>`;
+    }
+
+    html += `<div class="diagnostics-columns"><div>
+    <table class="diagnostics-table"><thead><tr>
+      <th>Reason</th><th>Lines</th><th>% of skipped</th>
+    </tr></thead><tbody>`;
+
+    for (const reason of reasonKeys) {
+        const pct = (reasons[reason].count / globalStats.skippedLines) * 100;
+        html += `<tr class="diagnostics-row ${reason === selectedSkipReason ? "active" : ""}" data-reason="${escapeHtml(reason)}">
+        <td>${escapeHtml(getSkipReasonLabel(reason))}</td>
+        <td>${reasons[reason].count.toLocaleString()}</td>
+        <td>${pct.toFixed(1)}%</td>
+      </tr>`;
+    }
+
+    html += `</tbody></table></div>
+    <div>${renderSkipSamples(selectedSkipReason)}</div></div>`;
+
+    container.innerHTML = html;
+}
+
+/**
+ * Renders the panel for a freshly parsed or reopened session and opens
+ * it when the log has event types nobody knows yet.
+ */
+function showParseDiagnostics() {
+    selectedSkipReason = "";
+    renderDiagnostics();
+
+    if (Object.keys(globalStats.diagnostics.unknownTypes).length) {
+        document.getElementById("diagnosticsBody").classList.remove("collapsed");
+        document.getElementById("diagnosticsToggleIcon").textContent = "▼";
+    }
+}
+
+function setupDiagnosticsUI() {
+    document.getElementById("diagnosticsContainer").addEventListener("click", (e) => {
+        const row = e.target.closest(".diagnostics-row");
+        if (!row) return;
+        selectedSkipReason = row.dataset.reason;
+        renderDiagnostics();
+    });
+
+    const body = document.getElementById("diagnosticsBody");
+    const icon = document.getElementById("diagnosticsToggleIcon");
+    document.getElementById("diagnosticsToggle").addEventListener("click", () => {
+        const collapsed = body.classList.toggle("collapsed");
+        icon.textContent = collapsed ? "▶" : "▼";
+    });
+}
+
+document.addEventListener("DOMContentLoaded", setupDiagnosticsUI);
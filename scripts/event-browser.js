@@ -0,0 +1,185 @@
+// --- Raw event browser --------------------------------------------------------
+//
+// Paginated table of the individual events behind the summary numbers,
+// scoped to the current time frame and narrowed by type / source /
+// target / skill filters and a free-text search. Only one page of rows is
+// ever rendered.
+
+const EVENT_BROWSER_PAGE_SIZE = 100;
+
+// filtered rows of the last search and the page being shown
+const eventBrowserState = {
+    rows: [],
+    page: 0
+};
+
+let eventBrowserFilterTimer = null;
+
+function readEventBrowserFilters() {
+    const value = id => {
+        const el = document.getElementById(id);
+        return el ? el.value.trim().toLowerCase() : "";
+    };
+
+    return {
+        type: document.getElementById("eventTypeFilter").value,
+        source: value("eventSourceFilter"),
+        target: value("eventTargetFilter"),
+        skill: value("eventSkillFilter"),
+        text: value("eventSearchInput")
+    };
+}
+
+function eventMatchesFilters(row, filters) {
+    const contains = (field, needle) =>
+        !needle || String(field || "").toLowerCase().includes(needle);
+
+    if (filters.type && row.type !== filters.type) return false;
+    if (!contains(row.source, filters.source)) return false;
+    if (!contains(row.target, filters.target)) return false;
+    if (!contains(row.skill, filters.skill)) return false;
+
+    if (filters.text) {
+        const haystack = [
+            row.type, row.source, row.target, row.skill,
+            row.amount, row.pool, row.hitType
+        ].join(" ").toLowerCase();
+        if (!haystack.includes(filters.text)) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Events of the current time frame that pass the browser filters.
+ */
+function buildFilteredEventRows() {
+    const {start, end} = getCurrentTimeFrameRange();
+    const filters = readEventBrowserFilters();
+    return getAllEventsInRange(start, end).filter(row => eventMatchesFilters(row, filters));
+}
+
+function formatEventTime(ts) {
+    const d = new Date(ts * 1000);
+    const pad = (n, width = 2) => String(n).padStart(width, "0");
+    return d.toLocaleDateString() + " " +
+        pad(d.getHours()) + ":" + pad(d.getMinutes()) + ":" + pad(d.getSeconds()) +
+        "." + pad(d.getMilliseconds(), 3);
+}
+
+/**
+ * Re-runs the filters and shows the first page. Nothing is built while
+ * the section is collapsed; opening it renders.
+ */
+function renderEventBrowser() {
+    const container = document.getElementById("eventBrowserContainer");
+    if (!container) return;
+
+    if (!entities.size) {
+        eventBrowserState.rows = [];
+        container.innerHTML = "";
+        document.getElementById("eventBrowserPageInfo").textContent = "";
+        return;
+    }
+
+    if (document.getElementById("eventBrowserBody").classList.contains("collapsed")) return;
+
+    eventBrowserState.rows = buildFilteredEventRows();
+    eventBrowserState.page = 0;
+    renderEventBrowserPage();
+}
+
+function renderEventBrowserPage() {
+    const container = document.getElementById("eventBrowserContainer");
+    const pageInfo = document.getElementById("eventBrowserPageInfo");
+    const rows = eventBrowserState.rows;
+
+    const pageCount = Math.max(1, Math.ceil(rows.length / EVENT_BROWSER_PAGE_SIZE));
+    eventBrowserState.page = Math.min(Math.max(0, eventBrowserState.page), pageCount - 1);
+
+    const from = eventBrowserState.page * EVENT_BROWSER_PAGE_SIZE;
+    const pageRows = rows.slice(from, from + EVENT_BROWSER_PAGE_SIZE);
+
+    pageInfo.textContent = rows.length
+        ? `Events ${(from + 1).toLocaleString()}–${(from + pageRows.length).toLocaleString()} of ${rows.length.toLocaleString()} (page ${eventBrowserState.page + 1}/${pageCount})`
+        : "No events match.";
+
+    if (!pageRows.length) {
+        container.innerHTML = "";
+        return;
+    }
+
+    const showFile = globalStats.files.length > 1;
+
+    let html = `<table class="event-browser-table"><thead><tr>
+      <th>Time</th><th>Type</th><th>Source</th><th>Target</th><th>Skill / effect</th>
+      <th>Amount</th><th>Pool</th><th>Hit type</th>${showFile ? "<th>File</th>" : ""}
+    </tr></thead><tbody>`;
+
+    for (const row of pageRows) {
+        const source = escapeHtml(row.source || "");
+        const target = escapeHtml(row.target || "");
+        const file = globalStats.files[row.file];
+
+        html += `<tr>
+        <td title="${row.timestamp}">${formatEventTime(row.timestamp)}</td>
+        <td>${row.type}</td>
+        <td class="summary-entity" data-entity="${source}">${source}</td>
+        <td class="summary-entity" data-entity="${target}">${target}</td>
+        <td>${escapeHtml(row.skill || "")}</td>
+        <td>${row.amount == null ? "" : row.amount.toLocaleString()}</td>
+        <td>${escapeHtml(row.pool || "")}</td>
+        <td>${escapeHtml(row.hitType || "")}</td>
+        ${showFile ? `<td>${escapeHtml(file ? file.name : "")}</td>` : ""}
+      </tr>`;
+    }
+
+    html += `</tbody></table>`;
+    container.innerHTML = html;
+}
+
+function scheduleEventBrowserRefresh() {
+    clearTimeout(eventBrowserFilterTimer);
+    eventBrowserFilterTimer = setTimeout(renderEventBrowser, 200);
+}
+
+function setupEventBrowserUI() {
+    for (const id of ["eventSourceFilter", "eventTargetFilter", "eventSkillFilter", "eventSearchInput"]) {
+        document.getElementById(id).addEventListener("input", scheduleEventBrowserRefresh);
+    }
+    document.getElementById("eventTypeFilter").addEventListener("change", renderEventBrowser);
+
+    document.getElementById("eventPrevPage").addEventListener("click", () => {
+        eventBrowserState.page--;
+        renderEventBrowserPage();
+    });
+    document.getElementById("eventNextPage").addEventListener("click", () => {
+        eventBrowserState.page++;
+        renderEventBrowserPage();
+    });
+
+    document.getElementById("eventFiltersClear").addEventListener("click", () => {
+        for (const id of ["eventSourceFilter", "eventTargetFilter", "eventSkillFilter", "eventSearchInput"]) {
+            document.getElementById(id).value = "";
+        }
+        document.getElementById("eventTypeFilter").value = "";
+        renderEventBrowser();
+    });
+
+    const body = document.getElementById("eventBrowserBody");
+    const icon = document.getElementById("eventBrowserToggleIcon");
+    document.getElementById("eventBrowserToggle").addEventListener("click", () => {
+        const collapsed = body.classList.toggle("collapsed");
+        icon.textContent = collapsed ? "▶" : "▼";
+        if (!collapsed) {
+            renderEventBrowser();
+            return;
+        }
+
+        // the flat copy of every event is only worth keeping while shown
+        eventBrowserState.rows = [];
+        releaseAllEvents();
+    });
+}
+
+document.addEventListener("DOMContentLoaded", setupEventBrowserUI);
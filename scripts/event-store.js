@@ -0,0 +1,350 @@
+// --- Event store --------------------------------------------------------------
+//
+// Timestamp-sorted, columnar views of the per-entity event arrays
+// (damageEvents, healEvents, ...). A series keeps the events sorted by
+// time next to typed arrays of timestamps and prefix sums, so any
+// [start, end] window is found by binary search and its totals are two
+// array lookups instead of a full rescan.
+//
+// Series are built lazily on first use and cached per event array. A
+// cached series is brought up to date when its array has grown (new lines
+// parsed), so callers never have to invalidate anything by hand: events
+// appended in time order (a live log) are added to it, anything else
+// rebuilds it. DOM-free.
+
+let eventSeriesCache = new WeakMap();
+
+// Map<type, {sourceLength, events}> per event array, see getEventsOfType
+let eventTypeCache = new WeakMap();
+
+function buildEventSeries(events) {
+    const sorted = events.slice().sort((a, b) => a.timestamp - b.timestamp);
+    const length = sorted.length;
+
+    const timestamps = new Float64Array(length);
+    const prefixAmount = new Float64Array(length + 1);
+    const prefixOverheal = new Float64Array(length + 1);
+
+    for (let i = 0; i < length; i++) {
+        const e = sorted[i];
+        timestamps[i] = e.timestamp;
+        prefixAmount[i + 1] = prefixAmount[i] + (e.amount || 0);
+        prefixOverheal[i + 1] = prefixOverheal[i] + (e.overheal || 0);
+    }
+
+    return {
+        sourceLength: events.length,
+        events: sorted,
+        timestamps,
+        prefixAmount,
+        prefixOverheal,
+        bySkill: null,  // Map<skill, series>, built on demand
+        byTarget: null  // Map<target, series>, built on demand
+    };
+}
+
+function growTypedArray(array, length) {
+    const grown = new Float64Array(length);
+    grown.set(array.subarray(0, Math.min(array.length, length)));
+    return grown;
+}
+
+/**
+ * Adds events that are not older than the series' last one, keeping its
+ * skill/target groups in step.
+ */
+function appendToEventSeries(series, added) {
+    const offset = series.events.length;
+    const length = offset + added.length;
+
+    series.timestamps = growTypedArray(series.timestamps, length);
+    series.prefixAmount = growTypedArray(series.prefixAmount, length + 1);
+    series.prefixOverheal = growTypedArray(series.prefixOverheal, length + 1);
+
+    for (let i = 0; i < added.length; i++) {
+        const e = added[i];
+        const at = offset + i;
+        series.events.push(e);
+        series.timestamps[at] = e.timestamp;
+        series.prefixAmount[at + 1] = series.prefixAmount[at] + (e.amount || 0);
+        series.prefixOverheal[at + 1] = series.prefixOverheal[at] + (e.overheal || 0);
+    }
+    series.sourceLength += added.length;
+
+    if (series.bySkill) appendToGroupedSeries(series.bySkill, added, e => e.skill || "(no skill)");
+    if (series.byTarget) appendToGroupedSeries(series.byTarget, added, e => e.target);
+}
+
+function appendToGroupedSeries(grouped, added, keyFn) {
+    const groups = new Map();
+    for (const e of added) {
+        const key = keyFn(e);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(e);
+    }
+
+    for (const [key, groupEvents] of groups) {
+        const series = grouped.get(key);
+        if (series) {
+            appendToEventSeries(series, groupEvents);
+        } else {
+            grouped.set(key, buildEventSeries(groupEvents));
+        }
+    }
+}
+
+// true if events[from..] are sorted and none is older than `after`
+function isAppendedInOrder(events, from, after) {
+    let last = after;
+    for (let i = from; i < events.length; i++) {
+        if (events[i].timestamp < last) return false;
+        last = events[i].timestamp;
+    }
+    return true;
+}
+
+function getEventSeries(events) {
+    let series = eventSeriesCache.get(events);
+    if (series && series.sourceLength === events.length) return series;
+
+    const count = series ? series.timestamps.length : 0;
+    if (series && series.sourceLength < events.length &&
+        isAppendedInOrder(events, series.sourceLength, count ? series.timestamps[count - 1] : -Infinity)) {
+        appendToEventSeries(series, events.slice(series.sourceLength));
+    } else {
+        series = buildEventSeries(events);
+        eventSeriesCache.set(events, series);
+    }
+    return series;
+}
+
+function buildGroupedSeries(events, keyFn) {
+    const groups = new Map();
+    for (const e of events) {
+        const key = keyFn(e);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(e);
+    }
+
+    const grouped = new Map();
+    for (const [key, groupEvents] of groups) {
+        grouped.set(key, buildEventSeries(groupEvents));
+    }
+    return grouped;
+}
+
+/**
+ * Per-skill series of the same events, sharing the sort order.
+ */
+function getSkillSeries(events) {
+    const series = getEventSeries(events);
+    if (!series.bySkill) {
+        series.bySkill = buildGroupedSeries(series.events, e => e.skill || "(no skill)");
+    }
+    return series.bySkill;
+}
+
+/**
+ * Per-target series of source-side events (damageEvents, healEvents, ...).
+ */
+function getTargetSeries(events) {
+    const series = getEventSeries(events);
+    if (!series.byTarget) {
+        series.byTarget = buildGroupedSeries(series.events, e => e.target);
+    }
+    return series.byTarget;
+}
+
+/**
+ * The events of one type (e.g. only the DOT ticks of damageEvents), as an
+ * array of their own so they get series of their own. Cached per array
+ * and type; when the array has grown, its new events are appended to the
+ * same array, so the series of it can be updated instead of rebuilt.
+ */
+function getEventsOfType(events, type) {
+    let byType = eventTypeCache.get(events);
+    if (!byType) {
+        byType = new Map();
+        eventTypeCache.set(events, byType);
+    }
+
+    let cached = byType.get(type);
+    if (!cached || cached.sourceLength > events.length) {
+        cached = {sourceLength: events.length, events: events.filter(e => e.type === type)};
+        byType.set(type, cached);
+    } else {
+        for (let i = cached.sourceLength; i < events.length; i++) {
+            if (events[i].type === type) cached.events.push(events[i]);
+        }
+        cached.sourceLength = events.length;
+    }
+    return cached.events;
+}
+
+function clearEventStore() {
+    eventSeriesCache = new WeakMap();
+    eventTypeCache = new WeakMap();
+    allEventsCache = null;
+}
+
+// first index with timestamps[i] >= value
+function lowerBound(timestamps, value) {
+    let lo = 0;
+    let hi = timestamps.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (timestamps[mid] < value) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+// first index with timestamps[i] > value
+function upperBound(timestamps, value) {
+    let lo = 0;
+    let hi = timestamps.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (timestamps[mid] <= value) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+/**
+ * [from, to) indices of the series events inside [start, end]; a null
+ * bound means "open ended".
+ */
+function getSeriesRange(series, start, end) {
+    const from = start == null ? 0 : lowerBound(series.timestamps, start);
+    const to = end == null ? series.timestamps.length : upperBound(series.timestamps, end);
+    return [from, Math.max(from, to)];
+}
+
+/**
+ * Totals of a series over [start, end] without touching the events:
+ * {total, overheal, count, first, last}.
+ */
+function sumSeriesInRange(series, start, end) {
+    const [from, to] = getSeriesRange(series, start, end);
+    const count = to - from;
+
+    return {
+        total: series.prefixAmount[to] - series.prefixAmount[from],
+        overheal: series.prefixOverheal[to] - series.prefixOverheal[from],
+        count,
+        first: count ? series.timestamps[from] : null,
+        last: count ? series.timestamps[to - 1] : null
+    };
+}
+
+/**
+ * Events of the array inside [start, end], sorted by timestamp.
+ */
+function getEventsInRange(events, start, end) {
+    const series = getEventSeries(events);
+    const [from, to] = getSeriesRange(series, start, end);
+    return series.events.slice(from, to);
+}
+
+// --- All events ---------------------------------------------------------------
+
+let allEventsCache = null;
+
+function countSessionEvents() {
+    let count = 0;
+    for (const entity of entities.values()) {
+        count += entity.damageEvents.length +
+            entity.healEvents.length +
+            entity.energizeEvents.length +
+            entity.buffsApplied.length +
+            entity.debuffsApplied.length +
+            entity.deathEvents.length;
+    }
+    return count;
+}
+
+/**
+ * Every event of the session exactly once (taken from the source side),
+ * as flat rows sorted by time:
+ * {timestamp, type, file, source, target, skill, amount, pool, hitType}.
+ * For BUFF/DEBUFF rows skill is the effect name and amount is null;
+ * DEATH/KILL rows come from the victim's deathEvents.
+ */
+function getAllEvents() {
+    const count = countSessionEvents();
+    if (allEventsCache && allEventsCache.sourceLength === count) {
+        return allEventsCache.rows;
+    }
+
+    const rows = [];
+    for (const entity of entities.values()) {
+        for (const list of [entity.damageEvents, entity.healEvents, entity.energizeEvents]) {
+            for (const e of list) {
+                rows.push({
+                    timestamp: e.timestamp,
+                    type: e.type,
+                    file: e.file,
+                    source: entity.name,
+                    target: e.target,
+                    skill: e.skill,
+                    amount: e.amount,
+                    pool: e.pool,
+                    hitType: e.hitType
+                });
+            }
+        }
+        for (const list of [entity.buffsApplied, entity.debuffsApplied]) {
+            for (const e of list) {
+                rows.push({
+                    timestamp: e.timestamp,
+                    type: e.type,
+                    file: e.file,
+                    source: e.source,
+                    target: e.target,
+                    skill: e.effectName,
+                    amount: null,
+                    pool: "",
+                    hitType: ""
+                });
+            }
+        }
+        for (const e of entity.deathEvents) {
+            rows.push({
+                timestamp: e.timestamp,
+                type: e.type,
+                file: e.file,
+                source: e.source,
+                target: entity.name,
+                skill: e.skill,
+                amount: null,
+                pool: "",
+                hitType: ""
+            });
+        }
+    }
+
+    rows.sort((a, b) => a.timestamp - b.timestamp);
+    allEventsCache = {
+        sourceLength: count,
+        rows,
+        timestamps: Float64Array.from(rows, row => row.timestamp)
+    };
+    return rows;
+}
+
+/**
+ * Drops the rows of getAllEvents(); they are rebuilt on the next call.
+ */
+function releaseAllEvents() {
+    allEventsCache = null;
+}
+
+/**
+ * Rows of getAllEvents() inside [start, end] (null = open ended).
+ */
+function getAllEventsInRange(start, end) {
+    const rows = getAllEvents();
+    const [from, to] = getSeriesRange(allEventsCache, start, end);
+    return rows.slice(from, to);
+}
@@ -0,0 +1,328 @@
+// --- Export -------------------------------------------------------------------
+//
+// CSV / JSON downloads of the summary rows, an entity's detail breakdowns
+// and the raw events of the event browser. Every export carries the log
+// file name(s) and the time window it was computed for: CSV as leading
+// "# key: value" lines, JSON as a meta object.
+
+const SUMMARY_EXPORT_COLUMNS = [
+    {key: "name", label: "Entity"},
+    {key: "team", label: "Team"},
+    {key: "damageDone", label: "Damage done"},
+    {key: "damageDirect", label: "Damage done (direct)"},
+    {key: "damageDot", label: "Damage done (DoT)"},
+    {key: "dps", label: "DPS"},
+    {key: "dpsActive", label: "DPS (active)"},
+    {key: "damageToEnemies", label: "Damage to enemies"},
+    {key: "friendlyFire", label: "Friendly fire"},
+    {key: "healingDone", label: "Healing done"},
+    {key: "healingDoneEffective", label: "Healing done (effective)"},
+    {key: "overhealPct", label: "Overheal %"},
+    {key: "hps", label: "HPS"},
+    {key: "hpsActive", label: "HPS (active)"},
+    {key: "healingReceived", label: "Healing received"},
+    {key: "healingReceivedEffective", label: "Healing received (effective)"},
+    {key: "damageReceived", label: "Damage received"},
+    {key: "damageReceivedDirect", label: "Damage received (direct)"},
+    {key: "damageReceivedDot", label: "Damage received (DoT)"},
+    {key: "dtps", label: "DTPS"},
+    {key: "dtpsActive", label: "DTPS (active)"}
+];
+
+// left out while the session has no overheal (see sessionHasOverheal)
+const OVERHEAL_EXPORT_COLUMN_KEYS = new Set(["healingDoneEffective", "overhealPct", "healingReceivedEffective", "effective"]);
+
+const RESOURCE_EXPORT_COLUMNS = [
+    {key: "name", label: "Entity"},
+    {key: "team", label: "Team"},
+    {key: "pool", label: "Pool"},
+    {key: "resourcesGiven", label: "Given"},
+    {key: "resourcesReceived", label: "Received"},
+    {key: "resourcesReceivedPerSecond", label: "Received/s"}
+];
+
+const SKILL_EXPORT_COLUMNS = [
+    {key: "skill", label: "Skill"},
+    {key: "total", label: "Amount"},
+    {key: "hits", label: "Hits"},
+    {key: "landed", label: "Landed"},
+    {key: "min", label: "Min"},
+    {key: "max", label: "Max"},
+    {key: "crits", label: "Crits"},
+    {key: "dotTotal", label: "DoT amount"},
+    {key: "ticks", label: "DoT ticks"}
+];
+
+const TARGET_SKILL_EXPORT_COLUMNS = [{key: "target", label: "Target"}, ...SKILL_EXPORT_COLUMNS];
+
+const EVENT_EXPORT_COLUMNS = [
+    {key: "timestamp", label: "Timestamp"},
+    {key: "type", label: "Type"},
+    {key: "source", label: "Source"},
+    {key: "target", label: "Target"},
+    {key: "skill", label: "Skill / effect"},
+    {key: "amount", label: "Amount"},
+    {key: "pool", label: "Pool"},
+    {key: "hitType", label: "Hit type"},
+    {key: "fileName", label: "File"}
+];
+
+function buildExportMetadata(extra = {}) {
+    const {start, end} = getCurrentTimeFrameBounds();
+    const toIso = ts => ts == null ? null : new Date(ts * 1000).toISOString();
+
+    return {
+        files: globalStats.files.map(f => f.name),
+        timeFrame: timeFilter.enabled ? (timeFilter.label || "custom") : "full range",
+        from: toIso(start),
+        to: toIso(end),
+        damage: getDamageTypeLabel(),
+        exportedAt: new Date().toISOString(),
+        ...extra
+    };
+}
+
+function csvCell(value) {
+    if (value == null) return "";
+    // 3 decimals keep millisecond timestamps intact and trim the rates
+    const text = typeof value === "number"
+        ? String(Math.round(value * 1000) / 1000)
+        : String(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function buildCsvTable(columns, rows) {
+    const lines = [columns.map(col => csvCell(col.label)).join(",")];
+    for (const row of rows) {
+        lines.push(columns.map(col => csvCell(row[col.key])).join(","));
+    }
+    return lines.join("\r\n");
+}
+
+function buildCsvMetadata(meta) {
+    return Object.entries(meta)
+        .map(([key, value]) => "# " + key + ": " + (Array.isArray(value) ? value.join(", ") : value))
+        .join("\r\n");
+}
+
+/**
+ * One CSV document out of several titled tables:
+ * sections = [{title, columns, rows}].
+ */
+function buildCsvDocument(meta, sections) {
+    const parts = [buildCsvMetadata(meta)];
+    for (const section of sections) {
+        parts.push((sections.length > 1 ? "# " + section.title + "\r\n" : "") +
+            buildCsvTable(section.columns, section.rows));
+    }
+    return parts.join("\r\n\r\n") + "\r\n";
+}
+
+/**
+ * JSON counterpart of buildCsvDocument; rows keep their raw values.
+ * Sections with a name (one per pet) are nested under their key.
+ */
+function buildJsonDocument(meta, sections) {
+    const data = {meta};
+    for (const section of sections) {
+        const rows = section.rows.map(row =>
+            Object.fromEntries(section.columns.map(col => [col.key, row[col.key] ?? null]))
+        );
+
+        if (section.name) {
+            data[section.key] = data[section.key] || {};
+            data[section.key][section.name] = rows;
+        } else {
+            data[section.key] = rows;
+        }
+    }
+    return JSON.stringify(data, null, 2);
+}
+
+function buildExportFileName(what, extension) {
+    const base = globalStats.files.length
+        ? globalStats.files[0].name.replace(/\.[^.]+$/, "")
+        : "combat-log";
+    const {start, end} = getCurrentTimeFrameBounds();
+    const stamp = ts => new Date(ts * 1000).toISOString().slice(0, 19).replace(/[:T]/g, "-");
+    const range = start != null && end != null ? "_" + stamp(start) + "_" + stamp(end) : "";
+    const safeWhat = what.replace(/[^\w.-]+/g, "_");
+    return base + "_" + safeWhat + range + "." + extension;
+}
+
+function downloadText(fileName, text, mimeType) {
+    const blob = new Blob([text], {type: mimeType});
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportSections(what, format, meta, sections) {
+    if (format === "json") {
+        downloadText(buildExportFileName(what, "json"), buildJsonDocument(meta, sections), "application/json");
+    } else {
+        downloadText(buildExportFileName(what, "csv"), buildCsvDocument(meta, sections), "text/csv");
+    }
+}
+
+// --- What gets exported -------------------------------------------------------
+
+function withoutEmptyOverhealColumns(columns) {
+    return sessionHasOverheal() ? columns : columns.filter(col => !OVERHEAL_EXPORT_COLUMN_KEYS.has(col.key));
+}
+
+/**
+ * Summary rows as shown (team filter applied), sorted by damage done,
+ * the damage taken by target as one row per target and attacker, and the
+ * resources as one row per entity and pool like the Resources table.
+ */
+function buildSummaryExportSections() {
+    const rows = buildAggregatedEntitiesForCurrentTimeFrame()
+        .filter(row => entityMatchesTeamFilter(row.name))
+        .filter(row => row.damageDone || row.healingDone || row.healingReceived || row.damageReceived)
+        .sort((a, b) => b.damageDone - a.damageDone);
+
+    const resourceRows = buildResourceRowsForCurrentTimeFrame()
+        .filter(row => entityMatchesTeamFilter(row.name))
+        .filter(row => row.resourcesGiven || row.resourcesReceived)
+        .sort((a, b) => b.resourcesGiven - a.resourcesGiven);
+
+    const targetRows = buildDamageTakenByTarget()
+        .filter(row => entityMatchesTeamFilter(row.target))
+        .flatMap(row => row.sources.map(source => ({target: row.target, ...source})));
+
+    return [
+        {key: "entities", title: "Summary", columns: withoutEmptyOverhealColumns(SUMMARY_EXPORT_COLUMNS), rows},
+        {
+            key: "damageTakenByTarget",
+            title: "Damage taken by target",
+            columns: [{key: "target", label: "Target"}, {key: "source", label: "Attacker"}, {key: "amount", label: "Amount"}],
+            rows: targetRows
+        },
+        {key: "resources", title: "Resources by pool", columns: RESOURCE_EXPORT_COLUMNS, rows: resourceRows}
+    ];
+}
+
+function skillStatsToRows(statsBySkill) {
+    return Array.from(statsBySkill.entries())
+        .map(([skill, stats]) => ({skill, ...stats}))
+        .sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Rows of buildTargetSkillStats flattened to one row per target and skill.
+ */
+function targetSkillStatsToRows(rows) {
+    return rows.flatMap(row => skillStatsToRows(row.bySkill).map(skillRow => ({target: row.target, ...skillRow})));
+}
+
+/**
+ * The breakdowns of the details view for one entity.
+ */
+function buildEntityExportSections(entity) {
+    const healingColumns = nameLabel => withoutEmptyOverhealColumns([
+        {key: "name", label: nameLabel},
+        {key: "amount", label: "Amount"},
+        {key: "effective", label: "Effective"},
+        {key: "count", label: "Heals"}
+    ]);
+    const resourceColumns = [
+        {key: "source", label: "Source"},
+        {key: "skill", label: "Skill"},
+        {key: "pool", label: "Pool"},
+        {key: "amount", label: "Amount"},
+        {key: "count", label: "Count"}
+    ];
+    const effectColumns = [
+        {key: "type", label: "Type"},
+        {key: "name", label: "Effect"},
+        {key: "target", label: "Target"},
+        {key: "count", label: "Applications"},
+        {key: "uptimePct", label: "Uptime %"}
+    ];
+    const withUptimePct = rows => rows.map(row => ({...row, uptimePct: row.uptime * 100}));
+
+    const sections = [
+        {key: "damageBySkill", title: "Damage by skill", columns: SKILL_EXPORT_COLUMNS, rows: skillStatsToRows(buildEntityDamageBySkill(entity))},
+        {key: "damageByTarget", title: "Damage by target and skill", columns: TARGET_SKILL_EXPORT_COLUMNS, rows: targetSkillStatsToRows(buildEntityDamageByTargetAndSkill(entity))},
+        {key: "healingBySkill", title: "Healing by skill", columns: SKILL_EXPORT_COLUMNS, rows: skillStatsToRows(buildEntityHealingBySkill(entity))},
+        {key: "healingByTarget", title: "Healed whom", columns: healingColumns("Target"), rows: buildEntityHealingByTarget(entity)},
+        {key: "healingByTargetAndSkill", title: "Healing by target and skill", columns: TARGET_SKILL_EXPORT_COLUMNS, rows: targetSkillStatsToRows(buildEntityHealingByTargetAndSkill(entity))},
+        {key: "healingBySource", title: "Healing received by healer", columns: healingColumns("Healer"), rows: buildEntityHealingBySource(entity)},
+        {
+            key: "damageTakenBySource",
+            title: "Damage received by attacker",
+            columns: [{key: "source", label: "Attacker"}, {key: "amount", label: "Amount"}],
+            rows: buildEntityTopDamageSources(entity, Infinity).map(([source, amount]) => ({source, amount}))
+        },
+        {key: "damageTakenBySkill", title: "Damage received by skill", columns: SKILL_EXPORT_COLUMNS, rows: skillStatsToRows(buildEntityDamageTakenBySkill(entity))},
+        {key: "resourcesGiven", title: "Resources given", columns: resourceColumns.slice(1), rows: buildEntityResourcesGivenBySkill(entity)},
+        {key: "resourcesReceived", title: "Resources received", columns: resourceColumns, rows: buildEntityResourcesReceivedBySource(entity)},
+        {key: "effectsApplied", title: "Buffs / debuffs applied", columns: effectColumns, rows: withUptimePct(buildEntityAppliedBuffsByEffect(entity))},
+        {key: "effectsReceived", title: "Buffs / debuffs received", columns: effectColumns.filter(col => col.key !== "target"), rows: withUptimePct(buildEntityReceivedBuffsByEffect(entity))}
+    ];
+
+    for (const pet of getEntityPets(entity.name)) {
+        sections.push({
+            key: "petDamageBySkill",
+            name: pet.name,
+            title: "Pet " + pet.name + " damage by skill",
+            columns: SKILL_EXPORT_COLUMNS,
+            rows: skillStatsToRows(buildEntityDamageBySkill(pet))
+        });
+    }
+
+    return sections;
+}
+
+function buildEventExportSections() {
+    const rows = eventBrowserState.rows.map(row => {
+        const file = globalStats.files[row.file];
+        return {...row, fileName: file ? file.name : ""};
+    });
+    return [{key: "events", title: "Events", columns: EVENT_EXPORT_COLUMNS, rows}];
+}
+
+function handleExportClick(e) {
+    const button = e.target.closest("[data-export]");
+    if (!button) return;
+
+    if (!entities.size) {
+        alert("Parse a log first.");
+        return;
+    }
+
+    const what = button.dataset.export;
+    const format = button.dataset.format;
+
+    if (what === "summary") {
+        exportSections("summary", format, buildExportMetadata({teamFilter: rosterView.team || "everyone"}),
+            buildSummaryExportSections());
+    } else if (what === "entity") {
+        const entity = entities.get(selectedEntityName);
+        if (!entity) {
+            alert("Show an entity's details first.");
+            return;
+        }
+        exportSections(entity.name, format, buildExportMetadata({entity: entity.name}),
+            buildEntityExportSections(entity));
+    } else if (what === "events") {
+        exportSections("events", format, buildExportMetadata({
+            filters: JSON.stringify(readEventBrowserFilters()),
+            eventCount: eventBrowserState.rows.length
+        }), buildEventExportSections());
+    }
+}
+
+function setupExportUI() {
+    for (const el of document.querySelectorAll(".export-buttons")) {
+        el.addEventListener("click", handleExportClick);
+    }
+}
+
+document.addEventListener("DOMContentLoaded", setupExportUI);
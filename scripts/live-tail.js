@@ -0,0 +1,305 @@
+// --- Live tail ----------------------------------------------------------------
+//
+// Follows a log that combatlogger is still writing, for a meter on a second
+// monitor during a pull. Every LIVE_TAIL_POLL_MS the file is re-read from
+// where the last read stopped and only complete new lines go through
+// parseLine; the views are then refreshed and, with "follow current fight"
+// on, the time filter moves to the latest encounter. Refreshing redoes the
+// encounter and death detection over the whole log, so on a long log it is
+// spaced out to keep the page responsive (see scheduleLiveRefresh).
+//
+// The file comes from a File System Access API handle where the browser has
+// one (getFile() always returns the current contents) or else from the
+// file input; some browsers refuse to re-read such a File once it changed
+// on disk, which ends the live mode with a hint to pick the file instead.
+
+const LIVE_TAIL_POLL_MS = 2000;
+
+// bytes read per step, so a long log that is already there when the live
+// mode starts is not loaded at once; the page gets to repaint in between
+const LIVE_TAIL_CHUNK_BYTES = 1024 * 1024;
+
+// a refresh that took t ms is not followed by the next one for at least
+// t * LIVE_TAIL_REFRESH_BACKOFF ms, so refreshing takes at most about a
+// fifth of the time however long the log gets
+const LIVE_TAIL_REFRESH_BACKOFF = 4;
+
+// {getFile, name, offset, remainder, decoder, timer, busy, lines,
+//  entityCount, stale, nextRefreshAt, deathsStale}; null while not
+// following a file. stale: lines were parsed since the last refresh.
+let liveTail = null;
+
+const liveTailSettings = {
+    followFight: true
+};
+
+/**
+ * Parses the bytes of file past tail.offset, yielding to the page after
+ * every LIVE_TAIL_CHUNK_BYTES (onChunk is called then). A trailing line
+ * without newline is kept for the next read, as combatlogger may be
+ * halfway through writing it. Returns false if the live mode was stopped
+ * meanwhile.
+ */
+async function readLiveTailBytes(tail, file, onChunk = null) {
+    while (tail.offset < file.size) {
+        const end = Math.min(file.size, tail.offset + LIVE_TAIL_CHUNK_BYTES);
+        const buffer = await file.slice(tail.offset, end).arrayBuffer();
+        if (tail !== liveTail) return false;
+
+        tail.offset = end;
+        const lines = (tail.remainder + tail.decoder.decode(buffer, {stream: true})).split(/\r?\n/);
+        tail.remainder = lines.pop();
+
+        for (const line of lines) {
+            parseLine(line);
+        }
+        tail.lines += lines.length;
+
+        if (end < file.size) {
+            if (onChunk) onChunk(end, file.size);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (tail !== liveTail) return false;
+        }
+    }
+
+    globalStats.files[parseSession.fileIndex].size = file.size;
+    // settles the log format early in a fresh log and updates the file's
+    // line counters; both are safe to repeat
+    finishParseFile();
+    return true;
+}
+
+function renderLiveTailStatus(text) {
+    const status = document.getElementById("liveTailStatus");
+    const active = liveTail !== null;
+
+    document.getElementById("liveTailStopButton").classList.toggle("hidden", !active);
+    document.getElementById("liveTailButton").disabled = active;
+    document.getElementById("liveTailPickButton").disabled = active;
+    status.textContent = text;
+}
+
+function renderLiveTailProgress() {
+    renderLiveTailStatus("Live: " + liveTail.name + " – " +
+        liveTail.lines.toLocaleString() + " lines, last read " + new Date().toLocaleTimeString());
+}
+
+/**
+ * Narrows the time filter to the latest encounter, or the last 30
+ * minutes before the first one is detected.
+ */
+function followCurrentFight() {
+    const enc = encounters[encounters.length - 1];
+    if (!enc) {
+        setInitialTimeFilterLast30Minutes();
+        return;
+    }
+
+    setTimeFilter(enc.start, enc.end, "live: encounter #" + enc.id +
+        (enc.mainTarget ? " – " + enc.mainTarget : ""));
+}
+
+/**
+ * Rebuilds the derived state after new lines and redraws the views that
+ * show them, keeping the chart's entity choice. Deaths are only detected
+ * while their section is open (see setupLiveTailUI).
+ */
+function refreshLiveSession() {
+    encounters = detectEncounters();
+    if (document.getElementById("deathsBody").classList.contains("collapsed")) {
+        liveTail.deathsStale = true;
+    } else {
+        deaths = detectDeaths();
+        liveTail.deathsStale = false;
+    }
+    rebuildPetIndex();
+
+    renderTimeBoundsInfo();
+    renderSummary();
+    renderDiagnostics();
+
+    if (entities.size !== liveTail.entityCount) {
+        liveTail.entityCount = entities.size;
+
+        const select = document.getElementById("chartEntitySelect");
+        const selected = Array.from(select.selectedOptions || [], option => option.value);
+        updateEntityDatalist();
+        updateChartEntityOptions();
+        for (const option of select.options) {
+            option.selected = selected.includes(option.value);
+        }
+        renderRosterList();
+        renderPetInfo();
+    }
+
+    if (liveTailSettings.followFight) {
+        followCurrentFight();
+    } else {
+        refreshTimeFilteredViews();
+    }
+}
+
+/**
+ * Refreshes the views if lines came in and the last refresh is long
+ * enough ago; otherwise they are left for a later poll.
+ */
+function scheduleLiveRefresh(tail) {
+    if (!tail.stale || Date.now() < tail.nextRefreshAt) return;
+
+    const started = Date.now();
+    refreshLiveSession();
+    const took = Date.now() - started;
+
+    tail.stale = false;
+    tail.nextRefreshAt = Date.now() + took * LIVE_TAIL_REFRESH_BACKOFF;
+}
+
+async function pollLiveTail() {
+    const tail = liveTail;
+    if (!tail || tail.busy) return;
+
+    tail.busy = true;
+    try {
+        const file = await tail.getFile();
+        if (tail !== liveTail) return;
+
+        if (file.size < tail.offset) {
+            // truncated or replaced: start over with the new contents
+            await startLiveTail(tail.getFile);
+            return;
+        }
+
+        const linesBefore = tail.lines;
+        if (!await readLiveTailBytes(tail, file)) return;
+
+        if (tail.lines !== linesBefore) tail.stale = true;
+        scheduleLiveRefresh(tail);
+        renderLiveTailProgress();
+    } catch (err) {
+        stopLiveTail();
+        renderLiveTailStatus("Live mode stopped: " + (err.message || err) +
+            (typeof showOpenFilePicker === "function" ? " – try “Live: pick file…”." : ""));
+    } finally {
+        tail.busy = false;
+    }
+}
+
+/**
+ * Parses what the file holds now and keeps polling it for new lines.
+ * getFile resolves to the file's current contents.
+ */
+async function startLiveTail(getFile) {
+    if (activeParse) {
+        alert("A log is being parsed. Cancel it first.");
+        return;
+    }
+
+    clearSession();
+
+    const file = await getFile();
+    const tail = {
+        getFile,
+        name: file.name,
+        offset: 0,
+        remainder: "",
+        decoder: new TextDecoder(),
+        timer: null,
+        busy: true,
+        lines: 0,
+        entityCount: 0,
+        stale: false,
+        nextRefreshAt: 0,
+        deathsStale: false
+    };
+    liveTail = tail;
+
+    resetParserState({formatId: document.getElementById("logFormatSelect").value});
+    beginParseFile(file.name, file.size);
+    renderLiveTailStatus("Live: reading " + file.name + "...");
+
+    const onChunk = (bytes, totalBytes) => renderLiveTailStatus("Live: reading " + file.name + "... " +
+        Math.floor((bytes / totalBytes) * 100) + "%");
+    if (!await readLiveTailBytes(tail, file, onChunk)) return;
+
+    tail.entityCount = entities.size;
+    showParsedSession();
+    if (liveTailSettings.followFight) followCurrentFight();
+
+    tail.busy = false;
+    tail.timer = setInterval(pollLiveTail, LIVE_TAIL_POLL_MS);
+    renderLiveTailProgress();
+}
+
+/**
+ * Stops polling; what was parsed so far stays on screen.
+ */
+function stopLiveTail() {
+    if (!liveTail) return;
+
+    clearInterval(liveTail.timer);
+    liveTail = null;
+    renderLiveTailStatus("");
+}
+
+async function handleLiveTailStart(getFile) {
+    try {
+        await startLiveTail(getFile);
+    } catch (err) {
+        stopLiveTail();
+        renderLiveTailStatus("Live mode failed: " + (err.message || err));
+    }
+}
+
+function setupLiveTailUI() {
+    const pickButton = document.getElementById("liveTailPickButton");
+    const followInput = document.getElementById("liveFollowInput");
+
+    if (typeof showOpenFilePicker === "function") {
+        pickButton.addEventListener("click", async () => {
+            let handle;
+            try {
+                [handle] = await showOpenFilePicker();
+            } catch (err) {
+                return;  // picker closed
+            }
+            handleLiveTailStart(() => handle.getFile());
+        });
+    } else {
+        pickButton.classList.add("hidden");
+    }
+
+    document.getElementById("liveTailButton").addEventListener("click", () => {
+        const input = document.getElementById("logFileInput");
+        if (!input.files || input.files.length !== 1) {
+            alert("Select exactly one log file to follow.");
+            return;
+        }
+
+        const file = input.files[0];
+        handleLiveTailStart(async () => file);
+    });
+
+    document.getElementById("liveTailStopButton").addEventListener("click", () => {
+        // lines held back by scheduleLiveRefresh
+        if (liveTail && liveTail.stale && !liveTail.busy) refreshLiveSession();
+        stopLiveTail();
+    });
+
+    // deaths skipped by refreshLiveSession while the section was collapsed
+    document.getElementById("deathsToggle").addEventListener("click", () => {
+        if (!liveTail || !liveTail.deathsStale) return;
+        if (document.getElementById("deathsBody").classList.contains("collapsed")) return;
+
+        deaths = detectDeaths();
+        liveTail.deathsStale = false;
+        renderDeathList();
+    });
+
+    followInput.checked = liveTailSettings.followFight;
+    followInput.addEventListener("change", () => {
+        liveTailSettings.followFight = followInput.checked;
+        if (liveTail && liveTailSettings.followFight) followCurrentFight();
+    });
+}
+
+document.addEventListener("DOMContentLoaded", setupLiveTailUI);
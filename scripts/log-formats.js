@@ -0,0 +1,215 @@
+// --- Log formats --------------------------------------------------------------
+//
+// DOM-free like log-parser.js (loaded before it by the page and the parse
+// worker). A format says how a line splits into fields and which fields
+// each event type has, so log-parser.js never indexes columns itself:
+//   {
+//     id, label,
+//     delimiter: ",",
+//     quote: '"' | null,     fields may be quoted ("a, b", "say ""hi""")
+//     head: [fields],        leading fields of every line
+//     layouts: {TYPE: [fields]}  the fields after the head, per event type
+//   }
+// A field is {name, type: "string" | "number", optional}. Lines decode to
+// records like {timestamp, type, source, target, skill, amount, ...}.
+// Formats are tried in registration order; the first one that decodes the
+// most of a file's opening lines is used for the whole file (see
+// detectLogFormat for ties).
+
+const LOG_FORMATS = [];
+
+// lines of a file looked at before settling on its format
+const LOG_FORMAT_DETECT_LINES = 200;
+
+function registerLogFormat(format) {
+    LOG_FORMATS.push(format);
+    return format;
+}
+
+function getLogFormat(id) {
+    return LOG_FORMATS.find(format => format.id === id) || null;
+}
+
+/**
+ * Fields of a line, trimmed; null when a quoted field is never closed.
+ * A quote only opens a field at its start, so names merely containing
+ * one are read as they are.
+ */
+function splitLogLine(line, format) {
+    const {delimiter, quote} = format;
+    if (!quote) return line.split(delimiter).map(p => p.trim());
+
+    const fields = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch !== quote) {
+                field += ch;
+            } else if (line[i + 1] === quote) {
+                field += quote;
+                i++;
+            } else {
+                quoted = false;
+            }
+        } else if (ch === quote && !field.trim()) {
+            field = "";
+            quoted = true;
+        } else if (ch === delimiter) {
+            fields.push(field.trim());
+            field = "";
+        } else {
+            field += ch;
+        }
+    }
+
+    if (quoted) return null;
+    fields.push(field.trim());
+    return fields;
+}
+
+function decodeLogField(field, value, record) {
+    if (field.type === "number") {
+        const number = Number(value);
+        if (Number.isNaN(number)) return false;
+        record[field.name] = number;
+    } else {
+        record[field.name] = value;
+    }
+    return true;
+}
+
+/**
+ * Decodes one trimmed line: {record, fields}, or {error, field, eventType}
+ * with error one of "quote", "columns", "timestamp", "type", "value"
+ * (field names the value that is not a number).
+ */
+function decodeLogLine(line, format) {
+    const fields = splitLogLine(line, format);
+    if (!fields) return {error: "quote"};
+    if (fields.length < format.head.length) return {error: "columns"};
+
+    const record = {};
+    for (let i = 0; i < format.head.length; i++) {
+        const field = format.head[i];
+        if (!decodeLogField(field, fields[i], record)) {
+            return field.name === "timestamp"
+                ? {error: "timestamp"}
+                : {error: "value", field: field.name};
+        }
+    }
+
+    const layout = format.layouts[record.type];
+    if (!layout) return {error: "type", eventType: record.type};
+
+    const required = layout.filter(field => !field.optional).length;
+    if (fields.length - format.head.length < required) {
+        return {error: "columns", eventType: record.type};
+    }
+
+    for (let i = 0; i < layout.length; i++) {
+        const value = fields[format.head.length + i];
+        if (value === undefined) {
+            record[layout[i].name] = "";
+        } else if (!decodeLogField(layout[i], value, record)) {
+            return {error: "value", field: layout[i].name, eventType: record.type};
+        }
+    }
+
+    return {record, fields};
+}
+
+/**
+ * True if any field of the lines starts with the format's quote character.
+ */
+function linesUseLogQuote(lines, format) {
+    const {delimiter, quote} = format;
+    if (!quote) return false;
+    return lines.some(line => line.split(delimiter).some(p => p.trim().startsWith(quote)));
+}
+
+/**
+ * The registered format decoding most of the given lines. On a tie, a
+ * format whose quote character opens a field in the lines wins (a quoted
+ * log without delimiters in its names decodes as plain too, but would keep
+ * the quotes); otherwise the one registered first.
+ */
+function detectLogFormat(lines) {
+    let best = LOG_FORMATS[0];
+    let bestCount = -1;
+
+    for (const format of LOG_FORMATS) {
+        const count = lines.filter(line => !decodeLogLine(line, format).error).length;
+        if (count > bestCount || (count === bestCount && !best.quote && linesUseLogQuote(lines, format))) {
+            best = format;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+// --- Built-in formats ---------------------------------------------------------
+
+const COMBATLOGGER_HEAD = [
+    {name: "timestamp", type: "number"},
+    {name: "type", type: "string"}
+];
+
+const COMBATLOGGER_NUMERIC_LAYOUT = [
+    {name: "source", type: "string"},
+    {name: "target", type: "string"},
+    {name: "skill", type: "string"},
+    {name: "amount", type: "number"},
+    // the resource the amount applies to (HEALTH, MANA, ...), kept as
+    // written
+    {name: "pool", type: "string"},
+    {name: "hitType", type: "string"}
+];
+
+const COMBATLOGGER_EFFECT_LAYOUT = [
+    {name: "source", type: "string"},
+    {name: "target", type: "string"},
+    {name: "effectName", type: "string"},
+    // numeric in practice, kept as written when it is not
+    {name: "effectId", type: "string"}
+];
+
+const COMBATLOGGER_DEATH_LAYOUT = [
+    {name: "source", type: "string"},
+    {name: "target", type: "string"},
+    {name: "skill", type: "string", optional: true}
+];
+
+const COMBATLOGGER_LAYOUTS = {
+    DMG: COMBATLOGGER_NUMERIC_LAYOUT,
+    DOT: COMBATLOGGER_NUMERIC_LAYOUT,
+    HEAL: COMBATLOGGER_NUMERIC_LAYOUT,
+    ENERGIZE: COMBATLOGGER_NUMERIC_LAYOUT,
+    BUFF: COMBATLOGGER_EFFECT_LAYOUT,
+    DEBUFF: COMBATLOGGER_EFFECT_LAYOUT,
+    DEATH: COMBATLOGGER_DEATH_LAYOUT,
+    KILL: COMBATLOGGER_DEATH_LAYOUT
+};
+
+// "ts,DMG,source,target,skill,amount,pool,hitType" – names cannot contain
+// commas
+registerLogFormat({
+    id: "combatlogger",
+    label: "combatlogger (plain)",
+    delimiter: ",",
+    quote: null,
+    head: COMBATLOGGER_HEAD,
+    layouts: COMBATLOGGER_LAYOUTS
+});
+
+// same columns, fields quoted where needed: ts,DMG,"Alice, the Bold",...
+registerLogFormat({
+    id: "combatlogger-quoted",
+    label: "combatlogger (quoted CSV)",
+    delimiter: ",",
+    quote: '"',
+    head: COMBATLOGGER_HEAD,
+    layouts: COMBATLOGGER_LAYOUTS
+});
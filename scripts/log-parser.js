@@ -0,0 +1,587 @@
+// --- Core data structures -------------------------------------------------
+//
+// DOM-free parsing core. Loaded by the page (index.html) and by the parse
+// worker (parse-worker.js) through importScripts, so nothing in here may
+// touch document/window. Lines are decoded by the formats of
+// log-formats.js, which has to be loaded first.
+
+const entities = new Map();
+
+const globalStats = {
+    totalLines: 0,
+    parsedLines: 0,
+    skippedLines: 0,
+    duplicateLines: 0,
+    // why lines were skipped: reasons maps a reason key ("columns",
+    // "value:amount", ...) to {count, samples: [{file, line, text}]} with
+    // at most DIAGNOSTIC_SAMPLE_LIMIT samples; unknownTypes maps event type
+    // names no format knows to their line count
+    diagnostics: {
+        reasons: {},
+        unknownTypes: {}
+    },
+    // one entry per parsed file: {name, size, format, totalLines,
+    // parsedLines, skippedLines, duplicateLines}; events refer to it by
+    // index (e.file)
+    files: [],
+    byType: {
+        DMG: 0,
+        DOT: 0,
+        HEAL: 0,
+        ENERGIZE: 0,
+        BUFF: 0,
+        DEBUFF: 0,
+        DEATH: 0,
+        KILL: 0
+    }
+};
+
+// global time bounds across all parsed events
+const timeBounds = {
+    min: null,
+    max: null
+};
+
+// state of a (possibly multi-file) parse. When several loggers' files are
+// merged, a line seen N times in one file and M times in another was
+// logged max(N, M) times, so only lines beyond the highest per-file count
+// seen so far are parsed – the rest are de-duplicated. Lines are counted
+// by hash (see hashLogLine), not by their text, so the counts do not keep
+// a second copy of the input around.
+const parseSession = {
+    fileIndex: 0,
+    fileStartStats: null,
+    mergedLineCounts: null, // Map<line hash, max count in any one file>, null = no de-duplication
+    fileLineCounts: null,   // Map<line hash, count in the current file>
+    forcedFormat: null,     // format picked by the user, null = detect per file
+    format: null,           // format of the current file, null until detected
+    pendingLines: [],       // opening [lineNumber, text] of the current file, kept for detection
+    lineNumber: 0           // physical line of the current file, blank lines included
+};
+
+// heal hitType flagging the whole heal as overheal
+const OVERHEAL_HIT_TYPES = new Set(["OVERHEAL"]);
+
+// skipped lines kept per reason for the diagnostics panel
+const DIAGNOSTIC_SAMPLE_LIMIT = 100;
+
+// bytes between progress callbacks when parsing a file in chunks
+const PARSE_PROGRESS_INTERVAL_BYTES = 1024 * 1024;
+
+function getEntity(name) {
+    if (!entities.has(name)) {
+        entities.set(name, {
+            name,
+
+            // total (full log) – not used in filtered views, but kept
+            damageDone: 0,
+            healingDone: 0,
+            healingReceived: 0,
+            damageReceived: 0,
+            resourcesGiven: 0,
+            resourcesReceived: 0,
+
+            // detailed per-event data
+            damageEvents: [],        // damage done by this entity
+            healEvents: [],          // healing done by this entity
+            healTakenEvents: [],     // healing received by this entity
+            damageTakenEvents: [],   // damage received by this entity
+            energizeEvents: [],      // resources (mana etc.) restored by this entity
+            energizeReceivedEvents: [], // resources restored to this entity
+            buffsApplied: [],
+            debuffsApplied: [],
+            buffsReceived: [],
+            debuffsReceived: [],
+            deathEvents: []          // explicit DEATH/KILL lines for this entity
+        });
+    }
+    return entities.get(name);
+}
+
+function updateTimeBounds(timestamp) {
+    if (timeBounds.min === null || timestamp < timeBounds.min) {
+        timeBounds.min = timestamp;
+    }
+    if (timeBounds.max === null || timestamp > timeBounds.max) {
+        timeBounds.max = timestamp;
+    }
+}
+
+/**
+ * Clears everything parsed so far. Pass {deduplicate: true} when several
+ * files of the same session are about to be merged, and {formatId} to
+ * skip format detection.
+ */
+function resetParserState(options = {}) {
+    entities.clear();
+    globalStats.totalLines = 0;
+    globalStats.parsedLines = 0;
+    globalStats.skippedLines = 0;
+    globalStats.duplicateLines = 0;
+    globalStats.diagnostics = {reasons: {}, unknownTypes: {}};
+    globalStats.files = [];
+    for (const key of Object.keys(globalStats.byType)) {
+        globalStats.byType[key] = 0;
+    }
+    timeBounds.min = null;
+    timeBounds.max = null;
+
+    parseSession.fileIndex = 0;
+    parseSession.fileStartStats = null;
+    parseSession.mergedLineCounts = options.deduplicate ? new Map() : null;
+    parseSession.fileLineCounts = null;
+    parseSession.forcedFormat = options.formatId ? getLogFormat(options.formatId) : null;
+    parseSession.format = null;
+    parseSession.pendingLines = [];
+    parseSession.lineNumber = 0;
+}
+
+/**
+ * Starts a new file: events parsed from now on are tagged with its index.
+ */
+function beginParseFile(name, size) {
+    const format = parseSession.forcedFormat;
+    globalStats.files.push({
+        name,
+        size,
+        format: format ? format.id : "",
+        totalLines: 0,
+        parsedLines: 0,
+        skippedLines: 0,
+        duplicateLines: 0
+    });
+
+    parseSession.fileIndex = globalStats.files.length - 1;
+    parseSession.fileStartStats = {
+        totalLines: globalStats.totalLines,
+        parsedLines: globalStats.parsedLines,
+        skippedLines: globalStats.skippedLines,
+        duplicateLines: globalStats.duplicateLines
+    };
+    parseSession.fileLineCounts = parseSession.mergedLineCounts ? new Map() : null;
+    parseSession.format = format;
+    parseSession.pendingLines = [];
+    parseSession.lineNumber = 0;
+}
+
+/**
+ * Stores the line counters of the current file on its globalStats entry.
+ * After the last file of a merge the de-duplication counts are dropped.
+ */
+function finishParseFile(lastFile = false) {
+    // a file shorter than the detection window
+    if (parseSession.pendingLines.length) settleLogFormat();
+
+    const file = globalStats.files[parseSession.fileIndex];
+    const before = parseSession.fileStartStats;
+    if (!file || !before) return;
+
+    for (const key of Object.keys(before)) {
+        file[key] = globalStats[key] - before[key];
+    }
+
+    if (lastFile) {
+        parseSession.mergedLineCounts = null;
+        parseSession.fileLineCounts = null;
+    }
+}
+
+/**
+ * 53-bit hash of a line (cyrb53), exact as a number key. Two different
+ * lines sharing one is unlikely enough to be ignored even for millions of
+ * lines, and would only drop one of them as a duplicate.
+ */
+function hashLogLine(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+/**
+ * True if this line was already merged from another file (see
+ * parseSession). Always false for single-file parses.
+ */
+function isDuplicateLine(line) {
+    const merged = parseSession.mergedLineCounts;
+    if (!merged) return false;
+
+    const key = hashLogLine(line);
+    const seen = (parseSession.fileLineCounts.get(key) || 0) + 1;
+    parseSession.fileLineCounts.set(key, seen);
+
+    if (seen <= (merged.get(key) || 0)) return true;
+
+    merged.set(key, seen);
+    return false;
+}
+
+// --- Parsing logic --------------------------------------------------------
+
+function parseLine(line) {
+    const lineNumber = ++parseSession.lineNumber;
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    if (!parseSession.format) {
+        parseSession.pendingLines.push([lineNumber, trimmed]);
+        if (parseSession.pendingLines.length >= LOG_FORMAT_DETECT_LINES) settleLogFormat();
+        return;
+    }
+
+    parseTrimmedLine(trimmed, lineNumber);
+}
+
+/**
+ * Picks the current file's format from the lines held back so far and
+ * parses them.
+ */
+function settleLogFormat() {
+    const pending = parseSession.pendingLines;
+    parseSession.pendingLines = [];
+    parseSession.format = detectLogFormat(pending.map(([, text]) => text));
+
+    const file = globalStats.files[parseSession.fileIndex];
+    if (file) file.format = parseSession.format.id;
+
+    for (const [lineNumber, text] of pending) {
+        parseTrimmedLine(text, lineNumber);
+    }
+}
+
+/**
+ * Counts a skipped line under its reason and keeps it as a sample.
+ */
+function skipLine(reason, text, lineNumber, eventType = "") {
+    globalStats.skippedLines++;
+
+    const {reasons, unknownTypes} = globalStats.diagnostics;
+    if (!reasons[reason]) reasons[reason] = {count: 0, samples: []};
+
+    const entry = reasons[reason];
+    entry.count++;
+    if (entry.samples.length < DIAGNOSTIC_SAMPLE_LIMIT) {
+        entry.samples.push({file: parseSession.fileIndex, line: lineNumber, text});
+    }
+
+    if (reason === "type") {
+        unknownTypes[eventType] = (unknownTypes[eventType] || 0) + 1;
+    }
+}
+
+function parseTrimmedLine(trimmed, lineNumber) {
+    globalStats.totalLines++;
+
+    const decoded = decodeLogLine(trimmed, parseSession.format);
+    if (decoded.error) {
+        const reason = decoded.error === "value" ? "value:" + decoded.field : decoded.error;
+        skipLine(reason, trimmed, lineNumber, decoded.eventType);
+        return;
+    }
+
+    // decoded fields of the quoted format may contain commas, so they are
+    // not simply joined
+    if (isDuplicateLine(JSON.stringify(decoded.fields))) {
+        globalStats.duplicateLines++;
+        return;
+    }
+
+    const record = decoded.record;
+    switch (record.type) {
+        case "DMG":
+        case "DOT":
+        case "HEAL":
+        case "ENERGIZE":
+            parseNumericEvent(record);
+            break;
+        case "BUFF":
+        case "DEBUFF":
+            parseEffectEvent(record);
+            break;
+        case "DEATH":
+        case "KILL":
+            parseDeathEvent(record);
+            break;
+        default:
+            // in the format's layouts but not handled here
+            skipLine("type", trimmed, lineNumber, record.type);
+    }
+}
+
+function parseNumericEvent(record) {
+    const {timestamp, type, skill, pool, hitType} = record;
+    const sourceName = record.source;
+    const targetName = record.target;
+    const amountRaw = record.amount;
+
+    globalStats.parsedLines++;
+    globalStats.byType[type] = (globalStats.byType[type] || 0) + 1;
+    updateTimeBounds(timestamp);
+
+    const source = getEntity(sourceName);
+    const target = getEntity(targetName);
+
+    if (type === "DMG" || type === "DOT") {
+        const dmgAmount = amountRaw < 0 ? -amountRaw : amountRaw;
+
+        source.damageDone += dmgAmount;
+        target.damageReceived += dmgAmount;
+
+        const dmgEvent = {
+            timestamp,
+            type,
+            file: parseSession.fileIndex,
+            target: targetName,
+            skill,
+            amount: dmgAmount,
+            pool,
+            hitType
+        };
+
+        const dmgTakenEvent = {
+            timestamp,
+            type,
+            file: parseSession.fileIndex,
+            source: sourceName,
+            skill,
+            amount: dmgAmount,
+            pool,
+            hitType
+        };
+
+        source.damageEvents.push(dmgEvent);
+        target.damageTakenEvents.push(dmgTakenEvent);
+    } else if (type === "HEAL") {
+        const healAmount = Math.abs(amountRaw);
+
+        const overheal = inferOverheal(healAmount, hitType);
+
+        source.healingDone += healAmount;
+        target.healingReceived += healAmount;
+
+        const healEvent = {
+            timestamp,
+            type,
+            file: parseSession.fileIndex,
+            target: targetName,
+            skill,
+            amount: healAmount,
+            overheal,
+            pool,
+            hitType
+        };
+
+        const healTakenEvent = {
+            timestamp,
+            type,
+            file: parseSession.fileIndex,
+            source: sourceName,
+            skill,
+            amount: healAmount,
+            overheal,
+            pool,
+            hitType
+        };
+
+        source.healEvents.push(healEvent);
+        target.healTakenEvents.push(healTakenEvent);
+    } else if (type === "ENERGIZE") {
+        const regenAmount = Math.abs(amountRaw);
+
+        source.resourcesGiven += regenAmount;
+        target.resourcesReceived += regenAmount;
+
+        const regenEvent = {
+            timestamp,
+            type,
+            file: parseSession.fileIndex,
+            target: targetName,
+            skill,
+            amount: regenAmount,
+            pool,
+            hitType
+        };
+
+        const regenReceivedEvent = {
+            timestamp,
+            type,
+            file: parseSession.fileIndex,
+            source: sourceName,
+            skill,
+            amount: regenAmount,
+            pool,
+            hitType
+        };
+
+        source.energizeEvents.push(regenEvent);
+        target.energizeReceivedEvents.push(regenReceivedEvent);
+    }
+}
+
+/**
+ * combatlogger writes the raw heal amount; the only overheal hint is a
+ * hitType flagging the whole heal as wasted. Anything else is effective.
+ */
+function inferOverheal(amount, hitType) {
+    const key = String(hitType || "").toUpperCase();
+    return OVERHEAL_HIT_TYPES.has(key) ? amount : 0;
+}
+
+function parseEffectEvent(record) {
+    const {timestamp, type, effectName} = record;
+    const sourceName = record.source;
+    const targetName = record.target;
+    const effectId = Number(record.effectId);
+
+    globalStats.parsedLines++;
+    globalStats.byType[type] = (globalStats.byType[type] || 0) + 1;
+    updateTimeBounds(timestamp);
+
+    const source = getEntity(sourceName);
+    const target = getEntity(targetName);
+
+    const effectEvent = {
+        timestamp,
+        type,
+        file: parseSession.fileIndex,
+        source: sourceName,
+        target: targetName,
+        effectName,
+        effectId: Number.isNaN(effectId) ? record.effectId : effectId
+    };
+
+    if (type === "BUFF") {
+        source.buffsApplied.push(effectEvent);
+        target.buffsReceived.push(effectEvent);
+    } else {
+        source.debuffsApplied.push(effectEvent);
+        target.debuffsReceived.push(effectEvent);
+    }
+}
+
+/**
+ * Current combatlogger versions never write these, but kill/death lines
+ * ("ts,DEATH,killer,victim[,skill]") are picked up when present and take
+ * part in the death detection in deaths.js.
+ */
+function parseDeathEvent(record) {
+    const {timestamp, type} = record;
+    const killerName = record.source;
+    const victimName = record.target;
+
+    globalStats.parsedLines++;
+    globalStats.byType[type] = (globalStats.byType[type] || 0) + 1;
+    updateTimeBounds(timestamp);
+
+    getEntity(victimName).deathEvents.push({
+        timestamp,
+        type,
+        file: parseSession.fileIndex,
+        source: killerName,
+        skill: record.skill
+    });
+}
+
+// --- Streaming file reads ---------------------------------------------------
+
+/**
+ * Reads a File/Blob as a stream and feeds every complete line through
+ * parseLine, so the whole text never has to sit in memory at once.
+ *
+ * onProgress({lines, bytes, totalBytes, percent}) is called roughly every
+ * PARSE_PROGRESS_INTERVAL_BYTES and once at the end; it may return a
+ * promise (the main-thread fallback uses that to yield to the UI).
+ * Resolves to false if isCancelled() turned true, true otherwise.
+ */
+async function parseFileInChunks(file, onProgress, isCancelled) {
+    const reader = file.stream().getReader();
+    const decoder = new TextDecoder();
+    const totalBytes = file.size;
+
+    let remainder = "";
+    let bytesRead = 0;
+    let nextProgressAt = PARSE_PROGRESS_INTERVAL_BYTES;
+
+    const report = () => onProgress && onProgress({
+        lines: globalStats.totalLines,
+        bytes: bytesRead,
+        totalBytes,
+        percent: totalBytes ? Math.min(100, (bytesRead / totalBytes) * 100) : 100
+    });
+
+    while (true) {
+        if (isCancelled && isCancelled()) {
+            await reader.cancel();
+            return false;
+        }
+
+        const {done, value} = await reader.read();
+        if (done) break;
+
+        bytesRead += value.byteLength;
+
+        // a line (or a \r\n pair) may span two chunks
+        const lines = (remainder + decoder.decode(value, {stream: true})).split(/\r?\n/);
+        remainder = lines.pop();
+
+        for (const line of lines) {
+            parseLine(line);
+        }
+
+        if (bytesRead >= nextProgressAt) {
+            nextProgressAt = bytesRead + PARSE_PROGRESS_INTERVAL_BYTES;
+            await report();
+        }
+    }
+
+    remainder += decoder.decode();
+    if (remainder) parseLine(remainder);
+
+    await report();
+    return true;
+}
+
+/**
+ * Parses several files one after another into the same session (with
+ * de-duplication when there is more than one). Progress is reported over
+ * all files: {fileIndex, fileName, fileCount, lines, bytes, totalBytes,
+ * percent}. options.formatId forces a registered format instead of
+ * detecting one per file. Resolves to false if cancelled.
+ */
+async function parseFilesInChunks(files, onProgress, isCancelled, options = {}) {
+    resetParserState({deduplicate: files.length > 1, formatId: options.formatId});
+
+    const totalBytes = files.reduce((sum, f) => sum + f.size, 0);
+    let bytesBefore = 0;
+
+    for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        beginParseFile(file.name, file.size);
+
+        const completed = await parseFileInChunks(file, (progress) => {
+            const bytes = bytesBefore + progress.bytes;
+            return onProgress && onProgress({
+                fileIndex: i,
+                fileName: file.name,
+                fileCount: files.length,
+                lines: progress.lines,
+                bytes,
+                totalBytes,
+                percent: totalBytes ? Math.min(100, (bytes / totalBytes) * 100) : 100
+            });
+        }, isCancelled);
+
+        finishParseFile(i === files.length - 1);
+        if (!completed) return false;
+
+        bytesBefore += file.size;
+    }
+
+    return true;
+}
@@ -0,0 +1,31 @@
+// --- Parse worker -----------------------------------------------------------
+//
+// Runs parseFilesInChunks off the main thread. Messages:
+//   in:  {type: "parse", files, formatId}
+//   out: {type: "progress", fileIndex, fileName, fileCount, lines, bytes,
+//         totalBytes, percent}
+//        {type: "done", entities, globalStats, timeBounds}
+//        {type: "error", message}
+// Cancelling is done by the page terminating the worker.
+
+importScripts("log-formats.js", "log-parser.js");
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    if (!message || message.type !== "parse") return;
+
+    try {
+        await parseFilesInChunks(message.files, (progress) => {
+            self.postMessage({type: "progress", ...progress});
+        }, null, {formatId: message.formatId});
+
+        self.postMessage({
+            type: "done",
+            entities,
+            globalStats,
+            timeBounds
+        });
+    } catch (err) {
+        self.postMessage({type: "error", message: err && err.message ? err.message : String(err)});
+    }
+};
@@ -1,66 +1,20 @@
-// --- Core data structures -------------------------------------------------
-
-const entities = new Map();
-
-const globalStats = {
-    totalLines: 0,
-    parsedLines: 0,
-    skippedLines: 0,
-    byType: {
-        DMG: 0,
-        DOT: 0,
-        HEAL: 0,
-        ENERGIZE: 0,
-        BUFF: 0,
-        DEBUFF: 0
-    }
-};
-
-// global time bounds across all parsed events
-const timeBounds = {
-    min: null,
-    max: null
+// --- View state -----------------------------------------------------------
+//
+// Page-only state; the time filter and the analysis settings live in
+// aggregation.js.
+
+// name of the entity currently shown in the details view
+let selectedEntityName = "";
+
+// sort state of each summary table, keyed by container id
+const summaryTableSort = {
+    damageDoneTableContainer: {field: "damageDone", dir: "desc"},
+    healingDoneTableContainer: {field: "healingDone", dir: "desc"},
+    healingReceivedTableContainer: {field: "healingReceived", dir: "desc"},
+    damageReceivedTableContainer: {field: "damageReceived", dir: "desc"},
+    resourcesTableContainer: {field: "resourcesGiven", dir: "desc"}
 };
 
-// current time filter
-const timeFilter = {
-    enabled: false,
-    start: null,
-    end: null
-};
-
-function getEntity(name) {
-    if (!entities.has(name)) {
-        entities.set(name, {
-            name,
-
-            // total (full log) – not used in filtered views, but kept
-            damageDone: 0,
-            healingDone: 0,
-            damageReceived: 0,
-
-            // detailed per-event data
-            damageEvents: [],        // damage done by this entity
-            healEvents: [],          // healing done by this entity
-            damageTakenEvents: [],   // damage received by this entity
-            buffsApplied: [],
-            debuffsApplied: [],
-            buffsReceived: [],
-            debuffsReceived: []
-        });
-    }
-    return entities.get(name);
-}
-
-function updateTimeBounds(timestamp) {
-    if (timeBounds.min === null || timestamp < timeBounds.min) {
-        timeBounds.min = timestamp;
-    }
-    if (timeBounds.max === null || timestamp > timeBounds.max) {
-        timeBounds.max = timestamp;
-    }
-}
-
 // --- Helpers --------------------------------------------------------------
 function epochToLocalInput(ts) {
     const d = new Date(ts * 1000);
@@ -107,63 +61,49 @@ function updateEntityDatalist() {
     }
 }
 
-function buildEntityDamageBySkill(entity) {
-    const map = new Map();
-    for (const e of entity.damageEvents) {
-        if (!isInCurrentTimeFrame(e.timestamp)) continue;
-        const key = e.skill || "(no skill)";
-        map.set(key, (map.get(key) || 0) + e.amount);
-    }
-    return map;
-}
+// --- Buff / debuff uptime UI ----------------------------------------------
 
-function buildEntityHealingBySkill(entity) {
-    const map = new Map();
-    for (const e of entity.healEvents) {
-        if (!isInCurrentTimeFrame(e.timestamp)) continue;
-        const key = e.skill || "(no skill)";
-        map.set(key, (map.get(key) || 0) + e.amount);
-    }
-    return map;
-}
+/**
+ * Reads the default duration and the "id=seconds" overrides from the
+ * details controls. Invalid entries are ignored.
+ */
+function readEffectDurationSettings() {
+    const defaultInput = document.getElementById("effectDefaultDuration");
+    const overridesInput = document.getElementById("effectDurationOverrides");
 
-function buildEntityTopDamageSources(entity, limit = 10) {
-    const map = new Map();
-    for (const e of entity.damageTakenEvents) {
-        if (!isInCurrentTimeFrame(e.timestamp)) continue;
-        const key = e.source || "(unknown)";
-        map.set(key, (map.get(key) || 0) + e.amount);
+    const defaultSeconds = defaultInput ? Number(defaultInput.value) : NaN;
+    if (!Number.isNaN(defaultSeconds) && defaultSeconds > 0) {
+        effectDurationSettings.defaultSeconds = defaultSeconds;
     }
 
-    const entries = Array.from(map.entries()).sort((a, b) => b[1] - a[1]);
-    return entries.slice(0, limit);
-}
-
-function buildEntityAppliedBuffsByEffect(entity) {
-    // key: type + "::" + effectName, value: count
-    const map = new Map();
-
-    for (const e of entity.buffsApplied) {
-        if (!isInCurrentTimeFrame(e.timestamp)) continue;
-        const key = "BUFF::" + (e.effectName || "(unknown)");
-        map.set(key, (map.get(key) || 0) + 1);
+    effectDurationSettings.byEffectId.clear();
+    if (overridesInput) {
+        for (const entry of overridesInput.value.split(/[,;\s]+/)) {
+            const [id, seconds] = entry.split("=").map(p => p.trim());
+            const value = Number(seconds);
+            if (id && !Number.isNaN(value) && value > 0) {
+                effectDurationSettings.byEffectId.set(id, value);
+            }
+        }
     }
+}
 
-    for (const e of entity.debuffsApplied) {
-        if (!isInCurrentTimeFrame(e.timestamp)) continue;
-        const key = "DEBUFF::" + (e.effectName || "(unknown)");
-        map.set(key, (map.get(key) || 0) + 1);
-    }
+function renderEffectUptimeTable(rows, withTarget) {
+    let html = `<table><thead><tr>
+      <th>Effect</th>${withTarget ? "<th>Target</th>" : ""}<th>Count</th><th>Uptime</th>
+    </tr></thead><tbody>`;
 
-    // return sorted array: [type, effectName, count]
-    const result = [];
-    for (const [key, count] of map.entries()) {
-        const [type, name] = key.split("::");
-        result.push({type, name, count});
+    for (const row of rows) {
+        html += `<tr>
+        <td>${escapeHtml(row.name)}</td>
+        ${withTarget ? `<td>${escapeHtml(row.target)}</td>` : ""}
+        <td>${row.count}</td>
+        <td>${(row.uptime * 100).toFixed(1)}%</td>
+      </tr>`;
     }
 
-    result.sort((a, b) => b.count - a.count);
-    return result;
+    html += `</tbody></table>`;
+    return html;
 }
 
 function setInitialTimeFilterLast30Minutes() {
@@ -177,9 +117,18 @@ function setInitialTimeFilterLast30Minutes() {
     const start = Math.max(candidateStart, timeBounds.min);
     const end = timeBounds.max;
 
+    setTimeFilter(start, end, "last ~30 minutes");
+}
+
+/**
+ * Enables the time filter for [start, end], syncs the inputs and the
+ * human-readable line, then recomputes every time-filtered view.
+ */
+function setTimeFilter(start, end, label) {
     timeFilter.enabled = true;
     timeFilter.start = start;
     timeFilter.end = end;
+    timeFilter.label = label || "";
 
     const startInput = document.getElementById("timeStartISO");
     const endInput = document.getElementById("timeEndISO");
@@ -191,276 +140,299 @@ function setInitialTimeFilterLast30Minutes() {
     }
 
     if (human) {
-        human.textContent =
-            "Current filter: last ~30 minutes (" +
-            formatTimestamp(start) +
-            " → " +
-            formatTimestamp(end) +
-            ")";
+        const range = formatTimestamp(start) + " → " + formatTimestamp(end);
+        human.textContent = label
+            ? "Current filter: " + label + " (" + range + ")"
+            : "Current filter: " + range;
     }
 
-    // Recompute stats for this window
-    renderTables();
+    refreshTimeFilteredViews();
 }
 
+/**
+ * Selects which damage the damage views count (at least one of direct
+ * and DoT) and recomputes them.
+ */
+function setDamageTypes(direct, dot) {
+    if (!direct && !dot) return;
+    if (direct === damageTypeFilter.direct && dot === damageTypeFilter.dot) return;
 
-// --- Parsing logic --------------------------------------------------------
-
-function parseLine(line) {
-    const trimmed = line.trim();
-    if (!trimmed) return;
-
-    globalStats.totalLines++;
-
-    const parts = trimmed.split(",").map(p => p.trim());
-    if (parts.length < 2) {
-        globalStats.skippedLines++;
-        return;
-    }
-
-    const timestampStr = parts[0];
-    const type = parts[1];
-
-    const ts = Number(timestampStr);
-    if (Number.isNaN(ts)) {
-        globalStats.skippedLines++;
-        return;
-    }
+    damageTypeFilter.direct = direct;
+    damageTypeFilter.dot = dot;
+    document.getElementById("damageDirectInput").checked = direct;
+    document.getElementById("damageDotInput").checked = dot;
 
-    switch (type) {
-        case "DMG":
-        case "DOT":
-        case "HEAL":
-        case "ENERGIZE":
-            parseNumericEvent(ts, type, parts);
-            break;
-        case "BUFF":
-        case "DEBUFF":
-            parseEffectEvent(ts, type, parts);
-            break;
-        default:
-            globalStats.skippedLines++;
-    }
+    if (entities.size) refreshTimeFilteredViews();
 }
 
-function parseNumericEvent(timestamp, type, parts) {
-    if (parts.length < 8) {
-        globalStats.skippedLines++;
-        return;
-    }
-
-    const sourceName = parts[2];
-    const targetName = parts[3];
-    const skill = parts[4];
-    const amountStr = parts[5];
-    const pool = parts[6];
-    const hitType = parts[7];
-
-    const amountRaw = Number(amountStr);
-    if (Number.isNaN(amountRaw)) {
-        globalStats.skippedLines++;
-        return;
+function refreshTimeFilteredViews() {
+    renderTables();
+    renderEncounterList();
+    renderTimelineChart();
+    renderEventBrowser();
+    renderDeathList();
+
+    // keep an open details view in sync with the new window
+    if (selectedEntityName && entities.has(selectedEntityName)) {
+        renderEntityDetails(selectedEntityName);
     }
 
-    globalStats.parsedLines++;
-    globalStats.byType[type] = (globalStats.byType[type] || 0) + 1;
-    updateTimeBounds(timestamp);
-
-    const source = getEntity(sourceName);
-    const target = getEntity(targetName);
-
-    if (type === "DMG" || type === "DOT") {
-        const dmgAmount = amountRaw < 0 ? -amountRaw : amountRaw;
-
-        source.damageDone += dmgAmount;
-        target.damageReceived += dmgAmount;
+    updateUrlHash();
+}
 
-        const dmgEvent = {
-            timestamp,
-            type,
-            target: targetName,
-            skill,
-            amount: dmgAmount,
-            pool,
-            hitType
-        };
+function formatDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    const pad = n => String(n).padStart(2, "0");
+    return h > 0 ? h + ":" + pad(m) + ":" + pad(s) : m + ":" + pad(s);
+}
 
-        const dmgTakenEvent = {
-            timestamp,
-            type,
-            source: sourceName,
-            skill,
-            amount: dmgAmount,
-            pool,
-            hitType
-        };
 
-        source.damageEvents.push(dmgEvent);
-        target.damageTakenEvents.push(dmgTakenEvent);
-    } else if (type === "HEAL") {
-        const healAmount = Math.abs(amountRaw);
-
-        source.healingDone += healAmount;
-
-        const healEvent = {
-            timestamp,
-            type,
-            target: targetName,
-            skill,
-            amount: healAmount,
-            pool,
-            hitType
-        };
+// --- Encounters UI --------------------------------------------------------
 
-        source.healEvents.push(healEvent);
-    } else if (type === "ENERGIZE") {
-        const regenEvent = {
-            timestamp,
-            type,
-            source: sourceName,
-            target: targetName,
-            skill,
-            amount: amountRaw,
-            pool,
-            hitType
-        };
-        // Not yet aggregated, but kept if you want mana stats later
-        // e.g. source.energizeEvents.push(regenEvent)
-    }
-}
+function renderEncounterList() {
+    const container = document.getElementById("encounterListContainer");
+    if (!container) return;
 
-function parseEffectEvent(timestamp, type, parts) {
-    if (parts.length < 6) {
-        globalStats.skippedLines++;
+    if (!encounters.length) {
+        container.innerHTML = entities.size
+            ? "<p><small>No encounters detected.</small></p>"
+            : "";
         return;
     }
 
-    const sourceName = parts[2];
-    const targetName = parts[3];
-    const effectName = parts[4];
-    const effectIdStr = parts[5];
-    const effectId = Number(effectIdStr);
-
-    globalStats.parsedLines++;
-    globalStats.byType[type] = (globalStats.byType[type] || 0) + 1;
-    updateTimeBounds(timestamp);
-
-    const source = getEntity(sourceName);
-    const target = getEntity(targetName);
-
-    const effectEvent = {
-        timestamp,
-        type,
-        source: sourceName,
-        target: targetName,
-        effectName,
-        effectId: Number.isNaN(effectId) ? effectIdStr : effectId
-    };
+    let html = `<table class="encounter-table"><thead><tr>
+      <th>#</th><th>Start</th><th>Duration</th><th>Main target</th>
+      <th>Participants</th><th>Total damage</th>
+    </tr></thead><tbody>`;
 
-    if (type === "BUFF") {
-        source.buffsApplied.push(effectEvent);
-        target.buffsReceived.push(effectEvent);
-    } else {
-        source.debuffsApplied.push(effectEvent);
-        target.debuffsReceived.push(effectEvent);
+    for (const enc of encounters) {
+        const isActive = timeFilter.enabled &&
+            timeFilter.start === enc.start &&
+            timeFilter.end === enc.end;
+
+        html += `<tr class="encounter-row${isActive ? " active" : ""}" data-encounter-id="${enc.id}"
+            title="${escapeHtml(enc.participants.join(", "))}">
+        <td>${enc.id}</td>
+        <td>${formatTimestamp(enc.start)}</td>
+        <td>${formatDuration(enc.duration)}</td>
+        <td>${escapeHtml(enc.mainTarget || "(none)")}</td>
+        <td>${enc.participants.length}</td>
+        <td>${enc.totalDamage.toLocaleString()}</td>
+      </tr>`;
     }
-}
 
-// --- Aggregation for current time frame -----------------------------------
-
-function isInCurrentTimeFrame(timestamp) {
-    if (!timeFilter.enabled) return true;
-    return timestamp >= timeFilter.start && timestamp <= timeFilter.end;
+    html += `</tbody></table>`;
+    container.innerHTML = html;
 }
 
-/**
- * Build a list of entities with damageDone/healingDone/damageReceived
- * aggregated over the current time frame only.
- */
-function buildAggregatedEntitiesForCurrentTimeFrame() {
-    const result = [];
-
-    for (const entity of entities.values()) {
-        let damageDone = 0;
-        let healingDone = 0;
-        let damageReceived = 0;
-
-        for (const e of entity.damageEvents) {
-            if (isInCurrentTimeFrame(e.timestamp)) {
-                damageDone += e.amount;
-            }
-        }
+function selectEncounter(id) {
+    const enc = encounters.find(e => e.id === id);
+    if (!enc) return;
 
-        for (const e of entity.healEvents) {
-            if (isInCurrentTimeFrame(e.timestamp)) {
-                healingDone += e.amount;
-            }
-        }
+    setTimeFilter(enc.start, enc.end, "encounter #" + enc.id +
+        (enc.mainTarget ? " – " + enc.mainTarget : ""));
+}
 
-        for (const e of entity.damageTakenEvents) {
-            if (isInCurrentTimeFrame(e.timestamp)) {
-                damageReceived += e.amount;
-            }
-        }
+function redetectEncounters() {
+    const gapInput = document.getElementById("encounterGapInput");
+    const gap = gapInput ? Number(gapInput.value) : NaN;
 
-        result.push({
-            name: entity.name,
-            damageDone,
-            healingDone,
-            damageReceived
-        });
+    if (!Number.isNaN(gap) && gap > 0) {
+        encounterSettings.idleGapSeconds = gap;
+    } else if (gapInput) {
+        gapInput.value = encounterSettings.idleGapSeconds;
     }
 
-    return result;
+    encounters = detectEncounters();
+    renderEncounterList();
+    renderDeathList();
 }
 
 // --- Rendering ------------------------------------------------------------
 
 function renderTables() {
-    const aggregated = buildAggregatedEntitiesForCurrentTimeFrame();
+    const allRows = buildAggregatedEntitiesForCurrentTimeFrame();
+    renderTeamTotals(allRows);
 
-    const byDamageDone = [...aggregated].sort((a, b) => b.damageDone - a.damageDone);
-    const byHealingDone = [...aggregated].sort((a, b) => b.healingDone - a.healingDone);
-    const byDamageReceived = [...aggregated].sort((a, b) => b.damageReceived - a.damageReceived);
+    const aggregated = allRows.filter(row => entityMatchesTeamFilter(row.name));
+    const formatAmount = v => v.toLocaleString();
+
+    // the direct / DoT split only while both are counted
+    const damageTypeSuffix = " (" + getDamageTypeLabel() + ")";
+    const splitDamage = damageTypeFilter.direct && damageTypeFilter.dot;
+    const hasDotDone = splitDamage && aggregated.some(row => row.damageDot);
+    const hasDotReceived = splitDamage && aggregated.some(row => row.damageReceivedDot);
+
+    document.getElementById("damageDoneHeading").textContent = "Total Damage Done" + damageTypeSuffix;
+    document.getElementById("damageReceivedHeading").textContent =
+        "Total Damage Received" + (splitDamage ? "" : damageTypeSuffix);
 
     renderEntityTable(
         "damageDoneTableContainer",
-        byDamageDone,
+        aggregated,
         "damageDone",
         "Damage Done",
-        true   // include %
+        true,  // include %
+        [
+            {field: "dps", label: "DPS", title: "Damage per second over the time frame"},
+            {field: "dpsActive", label: "DPS (active)", title: "Damage per second over the entity's own first-to-last event"},
+            ...(hasDotDone ? [
+                {field: "damageDirect", label: "Direct", title: "Damage done by direct hits (DMG)", format: formatAmount},
+                {field: "damageDot", label: "DoT", title: "Damage done by periodic ticks (DOT)", format: formatAmount}
+            ] : []),
+            ...(rosterHasTags() ? [
+                {field: "damageToEnemies", label: "To enemies", title: "Damage done to entities of the other side or untagged ones", format: formatAmount},
+                {field: "friendlyFire", label: "Friendly fire", title: "Damage done to itself or to entities of its own side", format: formatAmount}
+            ] : [])
+        ]
     );
 
+    // effective/overheal columns only make sense once the log tells us
+    // about overheal at all
+    const hasOverheal = sessionHasOverheal();
+    const formatPct = v => v.toFixed(1) + "%";
+
     renderEntityTable(
         "healingDoneTableContainer",
-        byHealingDone,
+        aggregated,
         "healingDone",
         "Healing Done",
-        true   // include %
+        true,  // include %
+        [
+            {field: "hps", label: "HPS", title: "Healing per second over the time frame"},
+            {field: "hpsActive", label: "HPS (active)", title: "Healing per second over the entity's own first-to-last event"},
+            ...(hasOverheal ? [
+                {field: "healingDoneEffective", label: "Effective", title: "Healing done minus overheal", format: formatAmount},
+                {field: "overhealPct", label: "Overheal", title: "Share of healing done that was overheal", format: formatPct}
+            ] : [])
+        ]
+    );
+
+    renderEntityTable(
+        "healingReceivedTableContainer",
+        aggregated,
+        "healingReceived",
+        "Healing Received",
+        true,  // include %
+        [
+            {field: "hpsReceived", label: "HPS", title: "Healing received per second over the time frame"},
+            ...(hasOverheal ? [
+                {field: "healingReceivedEffective", label: "Effective", title: "Healing received minus overheal", format: formatAmount}
+            ] : [])
+        ]
     );
 
     renderEntityTable(
         "damageReceivedTableContainer",
-        byDamageReceived,
+        aggregated,
         "damageReceived",
         "Damage Received",
-        false  // no %
+        false, // no %
+        [
+            {field: "dtps", label: "DTPS", title: "Damage taken per second over the time frame"},
+            {field: "dtpsActive", label: "DTPS (active)", title: "Damage taken per second over the entity's own first-to-last event"},
+            ...(hasDotReceived ? [
+                {field: "damageReceivedDirect", label: "Direct", title: "Damage taken from direct hits (DMG)", format: formatAmount},
+                {field: "damageReceivedDot", label: "DoT", title: "Damage taken from periodic ticks (DOT)", format: formatAmount}
+            ] : [])
+        ]
+    );
+
+    // one row per entity and pool; receivers are listed too, and there is
+    // no % as a total over several pools means nothing
+    renderEntityTable(
+        "resourcesTableContainer",
+        buildResourceRowsForCurrentTimeFrame().filter(row => entityMatchesTeamFilter(row.name)),
+        "resourcesGiven",
+        "Given",
+        false, // no %
+        [
+            {field: "pool", label: "Pool", title: "Resource restored (MANA, ...)", format: escapeHtml},
+            {field: "resourcesReceived", label: "Received", title: "Resources restored to this entity", format: formatAmount},
+            {field: "resourcesReceivedPerSecond", label: "Received/s", title: "Resources restored to this entity per second over the time frame"}
+        ],
+        {
+            rowFilter: row => row.resourcesGiven > 0 || row.resourcesReceived > 0,
+            subtotalBy: "pool"
+        }
     );
+
+    renderDamageTakenByTarget();
+}
+
+function formatRate(value) {
+    return Math.round(value).toLocaleString();
+}
+
+function sortRows(rows, field, dir) {
+    const sign = dir === "asc" ? 1 : -1;
+    return [...rows].sort((a, b) => {
+        const av = a[field];
+        const bv = b[field];
+        if (typeof av === "string" || typeof bv === "string") {
+            return sign * String(av).localeCompare(String(bv));
+        }
+        return sign * (av - bv);
+    });
+}
+
+/**
+ * Clicking a sortable header sorts by that column; clicking it again
+ * flips the direction. Names sort ascending first, numbers descending.
+ */
+function toggleSummaryTableSort(containerId, field) {
+    const state = summaryTableSort[containerId];
+    if (!state) return;
+
+    if (state.field === field) {
+        state.dir = state.dir === "desc" ? "asc" : "desc";
+    } else {
+        state.field = field;
+        state.dir = field === "name" ? "asc" : "desc";
+    }
+
+    renderTables();
+}
+
+/**
+ * "MANA: 1,200, RAGE: 50" – the valueField totals of the rows per value of
+ * field, largest first.
+ */
+function formatSubtotalsBy(rows, field, valueField) {
+    const totals = new Map();
+    for (const row of rows) {
+        totals.set(row[field], (totals.get(row[field]) || 0) + row[valueField]);
+    }
+    return Array.from(totals)
+        .sort((a, b) => b[1] - a[1])
+        .map(([key, amount]) => `${escapeHtml(key)}: ${amount.toLocaleString()}`)
+        .join(", ");
 }
 
 /**
  * Renders a table of entities.
- * - Filters out rows where row[valueField] <= 0
+ * - Filters out rows where row[valueField] <= 0, or those
+ *   options.rowFilter rejects when given
+ * - Sorts by the column picked in summaryTableSort (default valueField)
  * - Adds rank column
  * - Optionally adds "% of total" column
+ * - Appends extraColumns ({field, label, title, format}); format
+ *   defaults to formatRate
+ * - With rosterView.groupByTeam, splits the rows into one block per team
+ *   with a subtotal row; ranks restart in every block. options.subtotalBy
+ *   names a field (e.g. pool) whose values get a subtotal each instead of
+ *   one over all rows
  */
-function renderEntityTable(containerId, rows, valueField, valueLabel, includePercent) {
+function renderEntityTable(containerId, rows, valueField, valueLabel, includePercent, extraColumns = [], options = {}) {
     const container = document.getElementById(containerId);
 
-    const filteredRows = rows.filter(row => {
+    const filteredRows = rows.filter(options.rowFilter || (row => {
         const v = row[valueField];
         return typeof v === "number" && v > 0;
-    });
+    }));
 
     if (!filteredRows.length) {
         container.innerHTML = "<p>No data.</p>";
@@ -469,21 +441,54 @@ function renderEntityTable(containerId, rows, valueField, valueLabel, includePer
 
     const total = filteredRows.reduce((sum, row) => sum + row[valueField], 0);
 
+    const sort = summaryTableSort[containerId] || {field: valueField, dir: "desc"};
+    let sortedRows = sortRows(filteredRows, sort.field, sort.dir);
+
+    const grouped = rosterView.groupByTeam && rosterHasTags();
+    if (grouped) {
+        // stable sort keeps the column order inside each team
+        sortedRows = sortedRows.sort((a, b) => getTagOrder(a.team) - getTagOrder(b.team));
+    }
+    const columnCount = 3 + (includePercent ? 1 : 0) + extraColumns.length;
+
+    const sortableTh = (field, label, title) => {
+        const arrow = sort.field === field ? (sort.dir === "desc" ? " ▼" : " ▲") : "";
+        const titleAttr = title ? ` title="${escapeHtml(title)}"` : "";
+        return `<th class="sortable" data-sort-field="${field}"${titleAttr}>${label}${arrow}</th>`;
+    };
+
     let html = "<table><thead><tr>";
     html += "<th>#</th>";
-    html += "<th>Entity</th>";
-    html += "<th>" + valueLabel + "</th>";
+    html += sortableTh("name", "Entity");
+    html += sortableTh(valueField, valueLabel);
     if (includePercent) {
         html += "<th>% of total</th>";
     }
+    for (const col of extraColumns) {
+        html += sortableTh(col.field, col.label, col.title);
+    }
     html += "</tr></thead><tbody>";
 
-    filteredRows.forEach((row, index) => {
+    let rank = 0;
+    sortedRows.forEach((row, index) => {
         const amount = row[valueField];
-        const rank = index + 1;
         const amountFormatted =
             typeof amount === "number" ? amount.toLocaleString() : amount;
 
+        if (grouped && (index === 0 || sortedRows[index - 1].team !== row.team)) {
+            const teamRows = sortedRows.filter(r => r.team === row.team);
+            const teamTotal = teamRows.reduce((sum, r) => sum + r[valueField], 0);
+            const teamPct = total > 0 ? (teamTotal / total) * 100 : 0;
+            html += `<tr class="team-group-row"><td colspan="${columnCount}">${getTeamLabel(row.team)}` +
+                ` (${new Set(teamRows.map(r => r.name)).size}): ` +
+                (options.subtotalBy
+                    ? formatSubtotalsBy(teamRows, options.subtotalBy, valueField)
+                    : teamTotal.toLocaleString() + (includePercent ? ` – ${teamPct.toFixed(1)}%` : "")) +
+                `</td></tr>`;
+            rank = 0;
+        }
+        rank++;
+
         html += "<tr>";
 
         // Rank
@@ -492,7 +497,7 @@ function renderEntityTable(containerId, rows, valueField, valueLabel, includePer
         // CLICKABLE entity name
         const safeName = escapeHtml(row.name);
         html +=
-            `<td class="summary-entity" data-entity="${safeName}">${safeName}</td>`;
+            `<td class="summary-entity" data-entity="${safeName}">${safeName}${grouped ? "" : renderTeamBadge(row.name)}</td>`;
 
         // Amount
         html += "<td>" + amountFormatted + "</td>";
@@ -504,6 +509,12 @@ function renderEntityTable(containerId, rows, valueField, valueLabel, includePer
             html += "<td>" + pctFormatted + "</td>";
         }
 
+        // Rates / extra values
+        for (const col of extraColumns) {
+            const format = col.format || formatRate;
+            html += "<td>" + format(row[col.field]) + "</td>";
+        }
+
         html += "</tr>";
     });
 
@@ -511,14 +522,29 @@ function renderEntityTable(containerId, rows, valueField, valueLabel, includePer
     container.innerHTML = html;
 }
 
-function renderSummary(fileName) {
+function getSessionFileLabel() {
+    const names = globalStats.files.map(f => f.name);
+    return names.length ? names.join(", ") : "n/a";
+}
+
+function getLogFormatLabel(id) {
+    const format = getLogFormat(id);
+    return format ? format.label : (id || "n/a");
+}
+
+function renderSummary() {
     const el = document.getElementById("logSummary");
 
     const parts = [];
-    parts.push("File: " + (fileName || "n/a"));
+    parts.push((globalStats.files.length > 1 ? "Files: " : "File: ") + getSessionFileLabel());
+    const formats = Array.from(new Set(globalStats.files.map(f => f.format)));
+    parts.push("Format: " + formats.map(getLogFormatLabel).join(", "));
     parts.push("Total lines: " + globalStats.totalLines);
     parts.push("Parsed: " + globalStats.parsedLines);
     parts.push("Skipped: " + globalStats.skippedLines);
+    if (globalStats.files.length > 1) {
+        parts.push("Duplicates merged: " + globalStats.duplicateLines);
+    }
 
     const typeCounts = [];
     for (const [type, count] of Object.entries(globalStats.byType)) {
@@ -532,6 +558,22 @@ function renderSummary(fileName) {
     }
 
     el.textContent = parts.join(" | ");
+
+    // per-file breakdown when several logs were merged
+    if (globalStats.files.length > 1) {
+        const list = document.createElement("ul");
+        list.className = "log-file-list";
+        globalStats.files.forEach((f, index) => {
+            const item = document.createElement("li");
+            item.textContent =
+                "#" + (index + 1) + " " + f.name + " (" + getLogFormatLabel(f.format) + "): " +
+                f.parsedLines + " parsed, " +
+                f.duplicateLines + " duplicates, " +
+                f.skippedLines + " skipped";
+            list.appendChild(item);
+        });
+        el.appendChild(list);
+    }
 }
 
 function renderDebug() {
@@ -559,14 +601,30 @@ function formatTimestamp(ts) {
     return d.toLocaleString();
 }
 
-function setupTimeFilterUI() {
+/**
+ * "Earliest | Latest" line of the time filter; false when the log has no
+ * timestamped events.
+ */
+function renderTimeBoundsInfo() {
     const info = document.getElementById("timeBoundsInfo");
+
+    if (timeBounds.min == null || timeBounds.max == null) {
+        info.textContent = "No timestamped events found.";
+        return false;
+    }
+
+    info.textContent =
+        "Earliest: " + formatTimestamp(timeBounds.min) +
+        " | Latest: " + formatTimestamp(timeBounds.max);
+    return true;
+}
+
+function setupTimeFilterUI() {
     const human = document.getElementById("timeHumanReadable");
     const startInput = document.getElementById("timeStartISO");
     const endInput = document.getElementById("timeEndISO");
 
-    if (timeBounds.min == null || timeBounds.max == null) {
-        info.textContent = "No timestamped events found.";
+    if (!renderTimeBoundsInfo()) {
         human.textContent = "";
         return;
     }
@@ -579,10 +637,6 @@ function setupTimeFilterUI() {
     startInput.value = epochToLocalInput(timeBounds.min);
     endInput.value = epochToLocalInput(timeBounds.max);
 
-    info.textContent =
-        "Earliest: " + formatTimestamp(timeBounds.min) +
-        " | Latest: " + formatTimestamp(timeBounds.max);
-
     human.textContent = "Current filter: full range (" +
         formatTimestamp(timeBounds.min) +
         " → " +
@@ -593,7 +647,6 @@ function setupTimeFilterUI() {
 function applyTimeFilterFromInputs() {
     const startInput = document.getElementById("timeStartISO");
     const endInput = document.getElementById("timeEndISO");
-    const human = document.getElementById("timeHumanReadable");
 
     const startEpoch = localInputToEpoch(startInput.value);
     const endEpoch = localInputToEpoch(endInput.value);
@@ -614,17 +667,7 @@ function applyTimeFilterFromInputs() {
         return;
     }
 
-    timeFilter.enabled = true;
-    timeFilter.start = startEpoch;
-    timeFilter.end = endEpoch;
-
-    human.textContent =
-        "Current filter: " +
-        formatTimestamp(startEpoch) +
-        " → " +
-        formatTimestamp(endEpoch);
-
-    renderTables();
+    setTimeFilter(startEpoch, endEpoch);
 }
 
 
@@ -647,16 +690,109 @@ function resetTimeFilterToFullRange() {
         formatTimestamp(timeBounds.max) +
         ")";
 
-    renderTables();
+    refreshTimeFilteredViews();
+}
+
+/**
+ * Per-skill table: amount, share, hit count, avg/min/max, crits, and the
+ * direct / DoT split with tick counts when any skill ticked.
+ */
+function renderSkillStatsTable(statsBySkill, amountLabel) {
+    const rows = [...statsBySkill.entries()].sort((a, b) => b[1].total - a[1].total);
+    const total = rows.reduce((sum, [, stats]) => sum + stats.total, 0);
+    const hasTicks = rows.some(([, stats]) => stats.ticks);
+
+    let html = `<table class="entity-skill-table"><thead><tr>
+      <th>Skill</th><th>${amountLabel}</th><th>%</th><th>Hits</th>
+      <th>Avg</th><th>Min</th><th>Max</th><th>Crits</th><th>Crit %</th>
+      ${hasTicks ? "<th>Direct</th><th>DoT</th><th>Ticks</th>" : ""}
+    </tr></thead><tbody>`;
+
+    for (const [skill, stats] of rows) {
+        const pct = total ? (stats.total / total) * 100 : 0;
+        const avg = stats.landed ? stats.total / stats.landed : 0;
+        const critPct = stats.landed ? (stats.crits / stats.landed) * 100 : 0;
+        html += `<tr>
+        <td>${escapeHtml(skill)}</td>
+        <td>${stats.total.toLocaleString()}</td>
+        <td>${pct.toFixed(1)}%</td>
+        <td>${stats.hits}</td>
+        <td>${Math.round(avg).toLocaleString()}</td>
+        <td>${stats.min === null ? "-" : stats.min.toLocaleString()}</td>
+        <td>${stats.max === null ? "-" : stats.max.toLocaleString()}</td>
+        <td>${stats.crits}</td>
+        <td>${critPct.toFixed(1)}%</td>
+        ${hasTicks ? `<td>${(stats.total - stats.dotTotal).toLocaleString()}</td>
+        <td>${stats.dotTotal.toLocaleString()}</td>
+        <td>${stats.ticks}</td>` : ""}
+      </tr>`;
+    }
+
+    html += `</tbody></table>`;
+    return html;
+}
+
+/**
+ * Hit type counts (normal / crit / avoided / mitigated) over all skills.
+ */
+function renderHitTypeBreakdown(statsBySkill) {
+    const counts = mergeHitTypeCounts(statsBySkill.values());
+    const total = counts.reduce((sum, [, count]) => sum + count, 0);
+    if (!total) return "";
+
+    let html = `<h4>Hit types</h4><table class="entity-hit-type-table"><thead><tr>
+      <th>Hit type</th><th>Category</th><th>Count</th><th>%</th>
+    </tr></thead><tbody>`;
+
+    for (const [hitType, count] of counts) {
+        html += `<tr>
+        <td>${escapeHtml(hitType)}</td>
+        <td>${classifyHitType(hitType)}</td>
+        <td>${count}</td>
+        <td>${((count / total) * 100).toFixed(1)}%</td>
+      </tr>`;
+    }
+
+    html += `</tbody></table>`;
+    return html;
+}
+
+function renderHealingByEntityTable(rows, nameLabel) {
+    const total = rows.reduce((sum, row) => sum + row.amount, 0);
+    const showEffective = sessionHasOverheal();
+
+    let html = `<table class="entity-skill-table"><thead><tr>
+      <th>${nameLabel}</th><th>Healing</th><th>%</th>
+      ${showEffective ? "<th>Effective</th><th>Overheal</th>" : ""}<th>Heals</th>
+    </tr></thead><tbody>`;
+
+    for (const row of rows) {
+        const pct = total ? (row.amount / total) * 100 : 0;
+        const overhealPct = row.amount ? ((row.amount - row.effective) / row.amount) * 100 : 0;
+        html += `<tr>
+        <td class="summary-entity" data-entity="${escapeHtml(row.name)}">${escapeHtml(row.name)}</td>
+        <td>${row.amount.toLocaleString()}</td>
+        <td>${pct.toFixed(1)}%</td>
+        ${showEffective ? `<td>${row.effective.toLocaleString()}</td><td>${overhealPct.toFixed(1)}%</td>` : ""}
+        <td>${row.count}</td>
+      </tr>`;
+    }
+
+    html += `</tbody></table>`;
+    return html;
 }
 
 function renderEntityDetails(entityName) {
     const container = document.getElementById("entityDetailsContainer");
     const hint = document.getElementById("entityDetailsHint");
 
+    selectedEntityName = "";
+
     if (!entityName) {
         if (hint) hint.textContent = "Please type an entity name and press Show.";
         if (container) container.innerHTML = "";
+        renderRotationView();
+        updateUrlHash();
         return;
     }
 
@@ -664,26 +800,53 @@ function renderEntityDetails(entityName) {
     if (!entity) {
         if (hint) hint.textContent = "Entity not found: " + entityName;
         if (container) container.innerHTML = "";
+        renderRotationView();
+        updateUrlHash();
         return;
     }
 
+    selectedEntityName = entityName;
+
     // Aggregates (time-filtered)
     const dmgBySkill = buildEntityDamageBySkill(entity);
+    const dmgByTarget = buildEntityDamageByTargetAndSkill(entity);
+    const healByTarget = buildEntityHealingByTargetAndSkill(entity);
     const healBySkill = buildEntityHealingBySkill(entity);
+    const takenBySkill = buildEntityDamageTakenBySkill(entity);
+    const healedTargets = buildEntityHealingByTarget(entity);
+    const healedBy = buildEntityHealingBySource(entity);
     const topDamageSources = buildEntityTopDamageSources(entity);
     const appliedEffects = buildEntityAppliedBuffsByEffect(entity);
+    const receivedEffects = buildEntityReceivedBuffsByEffect(entity);
+    const resourcesGiven = buildEntityResourcesGivenBySkill(entity);
+    const resourcesReceived = buildEntityResourcesReceivedBySource(entity);
+    const pets = getEntityPets(entityName);
 
     // Split buffs vs debuffs
     const appliedBuffs = appliedEffects.filter(r => r.type === "BUFF");
     const appliedDebuffs = appliedEffects.filter(r => r.type === "DEBUFF");
+    const receivedBuffs = receivedEffects.filter(r => r.type === "BUFF");
+    const receivedDebuffs = receivedEffects.filter(r => r.type === "DEBUFF");
 
     // Totals for %
-    const totalDmg = Array.from(dmgBySkill.values()).reduce((a, b) => a + b, 0);
-    const totalHeal = Array.from(healBySkill.values()).reduce((a, b) => a + b, 0);
     const totalTaken = topDamageSources.reduce((sum, [, v]) => sum + v, 0);
 
     let html = `<div class="entity-details-header">
-    <strong>${entityName}</strong>
+    <strong>${escapeHtml(entityName)}</strong>
+    <label class="entity-team-picker">
+      Team:
+      <select class="roster-tag-select" data-entity="${escapeHtml(entityName)}">${renderTeamOptions(roster.get(entityName))}</select>
+    </label>`;
+
+    const owner = getPetOwner(entityName);
+    if (owner) {
+        html += `
+    <span class="entity-details-hint">Pet of
+      <span class="summary-entity" data-entity="${escapeHtml(owner)}">${escapeHtml(owner)}</span>;
+      its damage and healing are counted for the owner.</span>`;
+    }
+
+    html += `
   </div>`;
 
     // Wrapper: 3 flex columns now
@@ -697,21 +860,58 @@ function renderEntityDetails(entityName) {
     if (!dmgBySkill.size) {
         html += `<p><small>No damage done.</small></p>`;
     } else {
-        html += `<table class="entity-metric-table"><thead><tr>
-      <th>Skill</th><th>Damage</th><th>%</th>
+        html += renderSkillStatsTable(dmgBySkill, "Damage");
+        html += renderHitTypeBreakdown(dmgBySkill);
+    }
+
+    html += `</div>`; // end col1 section1
+
+    // COLUMN 1, SECTION 1a — Damage by target, then skill (RED)
+    if (dmgByTarget.length) {
+        html += `<div class="entity-subsection entity-subsection--dmg">
+    <h3>Damage (by target)</h3>`;
+        html += renderTargetSkillTable(dmgByTarget, "Damage", "damage");
+        html += `</div>`;
+    }
+
+    // COLUMN 1, SECTION 1b — Pets / summons, one group per pet (RED)
+    if (pets.length) {
+        const ownDamage = sumEventsInCurrentTimeFrame(getCountedDamageEvents(entity.damageEvents)).total;
+        const petRows = pets.map(pet => ({
+            pet,
+            damage: sumEventsInCurrentTimeFrame(getCountedDamageEvents(pet.damageEvents)).total,
+            healing: sumEventsInCurrentTimeFrame(pet.healEvents).total
+        }));
+        const combinedDamage = petRows.reduce((sum, row) => sum + row.damage, ownDamage);
+
+        html += `<div class="entity-subsection entity-subsection--dmg">
+    <h3>Pets / summons</h3>
+    <table><thead><tr>
+      <th>Pet</th><th>Damage</th><th>% of combined</th><th>Healing</th>
     </tr></thead><tbody>`;
-        for (const [skill, amount] of [...dmgBySkill.entries()].sort((a, b) => b[1] - a[1])) {
-            const pct = totalDmg ? (amount / totalDmg) * 100 : 0;
+
+        for (const row of petRows) {
+            const safeName = escapeHtml(row.pet.name);
+            const pct = combinedDamage > 0 ? (row.damage / combinedDamage) * 100 : 0;
             html += `<tr>
-        <td>${skill}</td>
-        <td>${amount.toLocaleString()}</td>
+        <td class="summary-entity" data-entity="${safeName}">${safeName}</td>
+        <td>${row.damage.toLocaleString()}</td>
         <td>${pct.toFixed(1)}%</td>
+        <td>${row.healing.toLocaleString()}</td>
       </tr>`;
         }
+
         html += `</tbody></table>`;
-    }
 
-    html += `</div>`; // end col1 section1
+        for (const row of petRows) {
+            const petBySkill = buildEntityDamageBySkill(row.pet);
+            if (!petBySkill.size) continue;
+            html += `<h4>${escapeHtml(row.pet.name)} (by skill)</h4>`;
+            html += renderSkillStatsTable(petBySkill, "Damage");
+        }
+
+        html += `</div>`;
+    }
 
     // COLUMN 1, SECTION 2 — Healing by skill (GREEN)
     html += `<div class="entity-subsection entity-subsection--heal">
@@ -720,22 +920,30 @@ function renderEntityDetails(entityName) {
     if (!healBySkill.size) {
         html += `<p><small>No healing done.</small></p>`;
     } else {
-        html += `<table class="entity-metric-table"><thead><tr>
-      <th>Skill</th><th>Healing</th><th>%</th>
-    </tr></thead><tbody>`;
-        for (const [skill, amount] of [...healBySkill.entries()].sort((a, b) => b[1] - a[1])) {
-            const pct = totalHeal ? (amount / totalHeal) * 100 : 0;
-            html += `<tr>
-        <td>${skill}</td>
-        <td>${amount.toLocaleString()}</td>
-        <td>${pct.toFixed(1)}%</td>
-      </tr>`;
-        }
-        html += `</tbody></table>`;
+        html += renderSkillStatsTable(healBySkill, "Healing");
+        html += renderHitTypeBreakdown(healBySkill);
+
+        html += `<h4>Healed whom</h4>`;
+        html += renderHealingByEntityTable(healedTargets, "Target");
+
+        html += `<h4>By target and skill</h4>`;
+        html += renderTargetSkillTable(healByTarget, "Healing", "healing");
     }
 
     html += `</div>`; // end col1 section2
 
+    // COLUMN 1, SECTION 2b — Healing received by healer (GREEN)
+    html += `<div class="entity-subsection entity-subsection--heal">
+    <h3>Healing received (by healer)</h3>`;
+
+    if (!healedBy.length) {
+        html += `<p><small>No healing received.</small></p>`;
+    } else {
+        html += renderHealingByEntityTable(healedBy, "Healer");
+    }
+
+    html += `</div>`; // end col1 section2b
+
     // COLUMN 1, SECTION 3 — Damage received by source (BLUE)
     html += `<div class="entity-subsection entity-subsection--tank">
     <h3>Damage received (by attacker)</h3>`;
@@ -755,54 +963,112 @@ function renderEntityDetails(entityName) {
       </tr>`;
         }
         html += `</tbody></table>`;
+
+        html += `<h4>By skill</h4>`;
+        html += renderSkillStatsTable(takenBySkill, "Damage");
+        html += renderHitTypeBreakdown(takenBySkill);
     }
 
     html += `</div>`; // end col1 section3
 
-    // Close column 1, open column 2 (BUFFS)
-    html += `</div><div class="entity-details-column">`;
+    // COLUMN 1, SECTION 4 — Resources given / received (PURPLE)
+    html += `<div class="entity-subsection entity-subsection--res">
+    <h3>Resources</h3>`;
 
-    // COLUMN 2 — Buffs applied (YELLOW)
-    html += `<div class="entity-subsection entity-subsection--buff">
-    <h3>Buffs applied by ${entityName}</h3>`;
+    if (!resourcesGiven.length && !resourcesReceived.length) {
+        html += `<p><small>No resources given or received.</small></p>`;
+    }
 
-    if (!appliedBuffs.length) {
-        html += `<p><small>No buffs applied.</small></p>`;
-    } else {
-        html += `<table><thead><tr>
-      <th>Effect</th><th>Count</th>
+    if (resourcesGiven.length) {
+        const poolTotals = sumResourceRowsByPool(resourcesGiven)
+            .map(([pool, amount]) => `${escapeHtml(pool)}: ${amount.toLocaleString()}`)
+            .join(", ");
+
+        html += `<h4>Given (by skill)</h4><small>${poolTotals}</small>
+    <table><thead><tr>
+      <th>Skill</th><th>Pool</th><th>Amount</th><th>Count</th>
     </tr></thead><tbody>`;
-        for (const row of appliedBuffs) {
+        for (const row of resourcesGiven) {
             html += `<tr>
-        <td>${row.name}</td>
+        <td>${escapeHtml(row.skill)}</td>
+        <td>${escapeHtml(row.pool)}</td>
+        <td>${row.amount.toLocaleString()}</td>
         <td>${row.count}</td>
       </tr>`;
         }
         html += `</tbody></table>`;
     }
 
+    if (resourcesReceived.length) {
+        const poolTotals = sumResourceRowsByPool(resourcesReceived)
+            .map(([pool, amount]) => `${escapeHtml(pool)}: ${amount.toLocaleString()}`)
+            .join(", ");
+
+        html += `<h4>Received (by source)</h4><small>${poolTotals}</small>
+    <table><thead><tr>
+      <th>Source</th><th>Skill</th><th>Pool</th><th>Amount</th>
+    </tr></thead><tbody>`;
+        for (const row of resourcesReceived) {
+            html += `<tr>
+        <td>${escapeHtml(row.source)}</td>
+        <td>${escapeHtml(row.skill)}</td>
+        <td>${escapeHtml(row.pool)}</td>
+        <td>${row.amount.toLocaleString()}</td>
+      </tr>`;
+        }
+        html += `</tbody></table>`;
+    }
+
+    html += `</div>`; // end col1 section4
+
+    // Close column 1, open column 2 (BUFFS)
+    html += `</div><div class="entity-details-column">`;
+
+    // COLUMN 2 — Buffs applied / received (YELLOW)
+    html += `<div class="entity-subsection entity-subsection--buff">
+    <h3>Buffs applied by ${escapeHtml(entityName)}</h3>`;
+
+    if (!appliedBuffs.length) {
+        html += `<p><small>No buffs applied.</small></p>`;
+    } else {
+        html += renderEffectUptimeTable(appliedBuffs, true);
+    }
+
+    html += `</div>`;
+
+    html += `<div class="entity-subsection entity-subsection--buff">
+    <h3>Buffs received by ${escapeHtml(entityName)}</h3>`;
+
+    if (!receivedBuffs.length) {
+        html += `<p><small>No buffs received.</small></p>`;
+    } else {
+        html += renderEffectUptimeTable(receivedBuffs, false);
+    }
+
     html += `</div>`; // end column 2
 
     // Close column 2, open column 3 (DEBUFFS)
     html += `</div><div class="entity-details-column">`;
 
-    // COLUMN 3 — Debuffs applied (YELLOW)
+    // COLUMN 3 — Debuffs applied / received (YELLOW)
     html += `<div class="entity-subsection entity-subsection--buff">
-    <h3>Debuffs applied by ${entityName}</h3>`;
+    <h3>Debuffs applied by ${escapeHtml(entityName)}</h3>`;
 
     if (!appliedDebuffs.length) {
         html += `<p><small>No debuffs applied.</small></p>`;
     } else {
-        html += `<table><thead><tr>
-      <th>Effect</th><th>Count</th>
-    </tr></thead><tbody>`;
-        for (const row of appliedDebuffs) {
-            html += `<tr>
-        <td>${row.name}</td>
-        <td>${row.count}</td>
-      </tr>`;
-        }
-        html += `</tbody></table>`;
+        html += renderEffectUptimeTable(appliedDebuffs, true);
+    }
+
+    html += `</div>`;
+
+    html += `<div class="entity-subsection entity-subsection--buff">
+    <h3>Debuffs received by ${escapeHtml(entityName)}</h3>`;
+
+    if (!receivedDebuffs.length) {
+        html += `<p><small>No debuffs received.</small></p>`;
+    } else {
+        html += renderEffectUptimeTable(receivedDebuffs, false);
     }
 
     html += `</div>`; // end column 3 subsection
@@ -817,6 +1083,209 @@ function renderEntityDetails(entityName) {
         hint.textContent =
             `Showing stats for "${entityName}" in current time frame (${formatTimestamp(fromTs)} → ${formatTimestamp(toTs)})`;
     }
+
+    renderRotationView();
+    updateUrlHash();
+}
+
+// --- Background parsing -----------------------------------------------------
+
+// parse in flight: {worker, cancelled, resolve}; null when idle
+let activeParse = null;
+
+function setParseProgressVisible(visible) {
+    const row = document.getElementById("parseProgressRow");
+    const bar = document.getElementById("parseProgress");
+    const text = document.getElementById("parseProgressText");
+
+    row.classList.toggle("hidden", !visible);
+    bar.value = 0;
+    text.textContent = "";
+}
+
+function renderParseProgress(progress) {
+    const bar = document.getElementById("parseProgress");
+    const text = document.getElementById("parseProgressText");
+
+    const mb = bytes => (bytes / (1024 * 1024)).toFixed(1);
+    const fileInfo = progress.fileCount > 1
+        ? "file " + (progress.fileIndex + 1) + "/" + progress.fileCount + " (" + progress.fileName + "), "
+        : "";
+
+    bar.value = progress.percent;
+    text.textContent =
+        progress.percent.toFixed(0) + "% – " + fileInfo +
+        progress.lines.toLocaleString() + " lines, " +
+        mb(progress.bytes) + " / " + mb(progress.totalBytes) + " MB";
+}
+
+/**
+ * Copies the structures posted back by the worker into the page globals,
+ * so everything else keeps reading entities/globalStats/timeBounds.
+ */
+function adoptParseResult(result) {
+    entities.clear();
+    for (const [name, entity] of result.entities) {
+        entities.set(name, entity);
+    }
+
+    Object.assign(globalStats, result.globalStats);
+    timeBounds.min = result.timeBounds.min;
+    timeBounds.max = result.timeBounds.max;
+}
+
+/**
+ * Parses the files on the main thread, yielding between chunks so the
+ * progress bar repaints and Cancel stays clickable.
+ */
+function parseFilesOnMainThread(files, formatId) {
+    const parse = {worker: null, cancelled: false, resolve: null};
+    activeParse = parse;
+
+    return parseFilesInChunks(
+        files,
+        (progress) => {
+            renderParseProgress(progress);
+            return new Promise(resolve => setTimeout(resolve, 0));
+        },
+        () => parse.cancelled,
+        {formatId}
+    );
+}
+
+/**
+ * Parses the files (merged into one session) in a Web Worker and adopts
+ * its result. Falls back to the main thread where workers cannot be
+ * started (e.g. Chrome on file://). formatId "" detects the log format
+ * of every file. Resolves to true when done, false when cancelled.
+ */
+function parseFilesInBackground(files, formatId) {
+    return new Promise((resolve, reject) => {
+        let worker;
+        try {
+            worker = new Worker("scripts/parse-worker.js");
+        } catch (err) {
+            parseFilesOnMainThread(files, formatId).then(resolve, reject);
+            return;
+        }
+
+        activeParse = {worker, cancelled: false, resolve};
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+
+            if (message.type === "progress") {
+                renderParseProgress(message);
+            } else if (message.type === "done") {
+                worker.terminate();
+                adoptParseResult(message);
+                resolve(true);
+            } else if (message.type === "error") {
+                worker.terminate();
+                reject(new Error(message.message));
+            }
+        };
+
+        // the worker script itself failed to load
+        worker.onerror = (event) => {
+            event.preventDefault();
+            worker.terminate();
+            parseFilesOnMainThread(files, formatId).then(resolve, reject);
+        };
+
+        worker.postMessage({type: "parse", files, formatId});
+    });
+}
+
+function cancelParse() {
+    if (!activeParse) return;
+
+    activeParse.cancelled = true;
+    if (activeParse.worker) {
+        activeParse.worker.terminate();
+        activeParse.resolve(false);
+    }
+}
+
+// --- Session lifecycle ------------------------------------------------------
+
+/**
+ * Drops the current session and empties every view that shows it.
+ */
+function clearSession() {
+    stopLiveTail();
+    resetParserState();
+    clearEventStore();
+    timeFilter.enabled = false;
+    timeFilter.start = null;
+    timeFilter.end = null;
+    timeFilter.label = "";
+    encounters = [];
+    deaths = [];
+    selectedDeathIndex = -1;
+    selectedEntityName = "";
+    currentSessionId = null;
+
+    document.getElementById("damageDoneTableContainer").innerHTML = "";
+    document.getElementById("healingDoneTableContainer").innerHTML = "";
+    document.getElementById("healingReceivedTableContainer").innerHTML = "";
+    document.getElementById("damageReceivedTableContainer").innerHTML = "";
+    document.getElementById("resourcesTableContainer").innerHTML = "";
+    document.getElementById("damageByTargetTableContainer").innerHTML = "";
+    expandedTargetRows.clear();
+    document.getElementById("debugOutput").classList.add("hidden");
+    document.getElementById("timeBoundsInfo").textContent = "";
+    document.getElementById("timeHumanReadable").textContent = "";
+    document.getElementById("encounterListContainer").innerHTML = "";
+    document.getElementById("deathListContainer").innerHTML = "";
+    document.getElementById("deathRecapContainer").innerHTML = "";
+    document.getElementById("compareContainer").innerHTML = "";
+    document.getElementById("diagnosticsContainer").innerHTML = "";
+    document.getElementById("diagnosticsInfo").textContent = "";
+    renderRotationView();
+}
+
+/**
+ * Builds the derived state (encounters, deaths, pets) of a freshly parsed
+ * or reopened session and renders every view. initialFilter
+ * ({start, end, label}) or else the window of the URL hash replaces the
+ * default "last 30 minutes" window.
+ */
+function showParsedSession(initialFilter = null) {
+    // read before the first render rewrites the hash
+    const filter = initialFilter || getHashTimeFilter();
+    const entityName = getHashEntity();
+
+    // Split the log into fights before the first render
+    encounters = detectEncounters();
+    deaths = detectDeaths();
+    rebuildPetIndex();
+
+    updateChartEntityOptions();
+
+    // Show bounds and wire inputs
+    setupTimeFilterUI();
+
+    if (filter) {
+        setTimeFilter(filter.start, filter.end, filter.label);
+    } else {
+        // Default window: last 30 minutes of the log
+        setInitialTimeFilterLast30Minutes();
+    }
+
+    renderSummary();
+    showParseDiagnostics();
+    renderDebug();
+    updateEntityDatalist();
+    renderRosterList();
+    renderPetInfo();
+    renderSessionLibrary();
+    document.getElementById("entityInput").value = entityName;
+    renderEntityDetails(entityName);
+
+    // Make sure entity details are visible after new log load
+    document.getElementById("entityDetailsBody").classList.remove("collapsed");
+    document.getElementById("entityToggleIcon").textContent = "▼";
 }
 
 // --- File handling / wiring -------------------------------------------------
@@ -838,71 +1307,89 @@ document.addEventListener("DOMContentLoaded", () => {
     const entityDetailsBody = document.getElementById("entityDetailsBody");
     const entityToggleIcon = document.getElementById("entityToggleIcon");
 
-    parseButton.addEventListener("click", () => {
+    const formatSelect = document.getElementById("logFormatSelect");
+    for (const format of LOG_FORMATS) {
+        formatSelect.add(new Option(format.label, format.id));
+    }
+
+    parseButton.addEventListener("click", async () => {
         const input = document.getElementById("logFileInput");
         if (!input.files || !input.files.length) {
-            alert("Please select a log file first.");
+            alert("Please select at least one log file first.");
             return;
         }
 
-        const file = input.files[0];
-
-        // reset state
-        entities.clear();
-        globalStats.totalLines = 0;
-        globalStats.parsedLines = 0;
-        globalStats.skippedLines = 0;
-        for (const key of Object.keys(globalStats.byType)) {
-            globalStats.byType[key] = 0;
+        if (activeParse) {
+            alert("A log is already being parsed. Cancel it first.");
+            return;
         }
-        timeBounds.min = null;
-        timeBounds.max = null;
-        timeFilter.enabled = false;
-        timeFilter.start = null;
-        timeFilter.end = null;
-
-        document.getElementById("damageDoneTableContainer").innerHTML = "";
-        document.getElementById("healingDoneTableContainer").innerHTML = "";
-        document.getElementById("damageReceivedTableContainer").innerHTML = "";
-        document.getElementById("debugOutput").classList.add("hidden");
-        document.getElementById("timeBoundsInfo").textContent = "";
-        document.getElementById("timeHumanReadable").textContent = "";
-
-        const reader = new FileReader();
-        reader.onload = () => {
-            const text = reader.result;
-            const lines = text.split(/\r?\n/);
-
-            for (const line of lines) {
-                parseLine(line);
-            }
 
-            // Show bounds and wire inputs
-            setupTimeFilterUI();
+        const files = Array.from(input.files);
 
-            // Default window: last 30 minutes of the log
-            setInitialTimeFilterLast30Minutes();
+        clearSession();
 
-            renderSummary(file.name);
-            renderDebug();
-            updateEntityDatalist();
-            renderEntityDetails("");
+        document.getElementById("logSummary").textContent =
+            "Parsing " + files.map(f => f.name).join(", ") + "...";
+        setParseProgressVisible(true);
 
-            // Make sure entity details are visible after new log load
-            entityDetailsBody.classList.remove("collapsed");
-            entityToggleIcon.textContent = "▼";
-        };
-        reader.readAsText(file);
+        let completed = false;
+        let failed = false;
+        try {
+            completed = await parseFilesInBackground(files, formatSelect.value);
+        } catch (err) {
+            failed = true;
+            alert("Failed to parse log: " + err.message);
+        } finally {
+            activeParse = null;
+            setParseProgressVisible(false);
+        }
+
+        if (!completed) {
+            resetParserState();
+            document.getElementById("logSummary").textContent =
+                failed ? "Parsing failed." : "Parsing cancelled.";
+            return;
+        }
+
+        showParsedSession();
     });
 
+    document.getElementById("cancelParseButton").addEventListener("click", cancelParse);
+
     debugToggle.addEventListener("click", () => {
         const debugOutput = document.getElementById("debugOutput");
         debugOutput.classList.toggle("hidden");
     });
 
     applyTimeButton.addEventListener("click", applyTimeFilterFromInputs);
+
+    const damageDirectInput = document.getElementById("damageDirectInput");
+    const damageDotInput = document.getElementById("damageDotInput");
+
+    function handleDamageTypeChange() {
+        // unchecking the last one is undone: something has to count
+        if (!damageDirectInput.checked && !damageDotInput.checked) {
+            damageDirectInput.checked = damageTypeFilter.direct;
+            damageDotInput.checked = damageTypeFilter.dot;
+            return;
+        }
+        setDamageTypes(damageDirectInput.checked, damageDotInput.checked);
+        updateUrlHash();
+    }
+
+    damageDirectInput.addEventListener("change", handleDamageTypeChange);
+    damageDotInput.addEventListener("change", handleDamageTypeChange);
     resetTimeButton.addEventListener("click", resetTimeFilterToFullRange);
 
+    document.getElementById("detectEncounters")
+        .addEventListener("click", redetectEncounters);
+
+    document.getElementById("encounterListContainer").addEventListener("click", (e) => {
+        const row = e.target.closest(".encounter-row");
+        if (!row) return;
+        selectEncounter(Number(row.dataset.encounterId));
+    });
+
     // Collapsible summary toggle
     summaryToggleBtn.addEventListener("click", () => {
         const isCollapsed = summaryBody.classList.toggle("collapsed");
@@ -920,6 +1407,16 @@ document.addEventListener("DOMContentLoaded", () => {
         renderEntityDetails(name);
     });
 
+    function handleEffectDurationChange() {
+        readEffectDurationSettings();
+        if (selectedEntityName) renderEntityDetails(selectedEntityName);
+    }
+
+    document.getElementById("effectDefaultDuration")
+        .addEventListener("change", handleEffectDurationChange);
+    document.getElementById("effectDurationOverrides")
+        .addEventListener("change", handleEffectDurationChange);
+
     entityInput.addEventListener("keydown", (e) => {
         if (e.key === "Enter") {
             const name = entityInput.value.trim();
@@ -932,6 +1429,12 @@ document.addEventListener("DOMContentLoaded", () => {
     const damageReceivedContainer = document.getElementById("damageReceivedTableContainer");
 
     function handleSummaryClick(e) {
+        const header = e.target.closest("th[data-sort-field]");
+        if (header) {
+            toggleSummaryTableSort(e.currentTarget.id, header.dataset.sortField);
+            return;
+        }
+
         const cell = e.target.closest(".summary-entity");
         if (!cell) return;
 
@@ -959,5 +1462,15 @@ document.addEventListener("DOMContentLoaded", () => {
 
     damageDoneContainer.addEventListener("click", handleSummaryClick);
     healingDoneContainer.addEventListener("click", handleSummaryClick);
+    document.getElementById("entityDetailsContainer")
+        .addEventListener("click", handleSummaryClick);
+    document.getElementById("eventBrowserContainer")
+        .addEventListener("click", handleSummaryClick);
+    document.getElementById("healingReceivedTableContainer")
+        .addEventListener("click", handleSummaryClick);
     damageReceivedContainer.addEventListener("click", handleSummaryClick);
+    document.getElementById("resourcesTableContainer")
+        .addEventListener("click", handleSummaryClick);
+    document.getElementById("damageByTargetTableContainer")
+        .addEventListener("click", handleSummaryClick);
 });
\ No newline at end of file
@@ -0,0 +1,175 @@
+// --- Pets / summons -----------------------------------------------------------
+//
+// Pets and summons log under their own names, so their damage would never
+// count toward the summoner. Owner rules map pet names to owners:
+//   Wolf Companion = Alice      explicit pair
+//   Spirit of * = Carol         glob pattern
+//   *'s Familiar = $1           the owner is taken from the pattern
+// Patterns match pet names regardless of case, with or without a *.
+// With merging on, a pet's outgoing events (damage, healing, resources)
+// are counted for its owner and the pet only keeps what it received.
+// Rules are kept in localStorage like the roster.
+
+const PET_STORAGE_KEY = "combatParser.petOwners";
+
+const petSettings = {
+    merge: true,
+    rules: []  // [{pattern, owner}] in the order they were written
+};
+
+// pet name → owner name and owner name → [pet entities] for the current
+// session; rebuilt after every parse and rule change
+const petIndex = {
+    ownerByPet: new Map(),
+    petsByOwner: new Map()
+};
+
+// why the rules could not be loaded or saved, shown next to them; "" when
+// they could
+let petStorageError = "";
+
+// loadStoredJson/saveStoredJson come from roster.js
+function loadPetSettings() {
+    const stored = loadStoredJson(PET_STORAGE_KEY);
+    petStorageError = stored === undefined ? "Could not load the saved pet owners." : "";
+
+    if (stored) {
+        petSettings.merge = stored.merge !== false;
+        petSettings.rules = Array.isArray(stored.rules) ? stored.rules : [];
+    }
+}
+
+function savePetSettings() {
+    petStorageError = saveStoredJson(PET_STORAGE_KEY, petSettings)
+        ? ""
+        : "Could not save the pet owners; they are lost on reload.";
+}
+
+/**
+ * "pattern = owner" lines → rules; blank lines and # comments are skipped.
+ */
+function parsePetRules(text) {
+    const rules = [];
+    for (const line of text.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith("#")) continue;
+
+        const eq = trimmed.lastIndexOf("=");
+        if (eq <= 0) continue;
+
+        const pattern = trimmed.slice(0, eq).trim();
+        const owner = trimmed.slice(eq + 1).trim();
+        if (pattern && owner) rules.push({pattern, owner});
+    }
+    return rules;
+}
+
+function formatPetRules(rules) {
+    return rules.map(rule => rule.pattern + " = " + rule.owner).join("\n");
+}
+
+function globToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, "(.*?)");
+    return new RegExp("^" + escaped + "$", "i");
+}
+
+/**
+ * Owner named by the first matching rule, or "" if none matches. A
+ * pattern without * is an exact name, compared case-insensitively like
+ * the globs.
+ */
+function matchPetRule(name) {
+    for (const rule of petSettings.rules) {
+        const match = globToRegExp(rule.pattern).exec(name);
+        if (match) {
+            return rule.owner.replace(/\$(\d)/g, (_, n) => (match[Number(n)] || "").trim());
+        }
+    }
+    return "";
+}
+
+/**
+ * Resolves every entity of the session against the rules. Owners have to
+ * be entities of the log themselves; pets of pets end up with the
+ * top-level owner.
+ */
+function rebuildPetIndex() {
+    petIndex.ownerByPet = new Map();
+    petIndex.petsByOwner = new Map();
+    if (!petSettings.rules.length) return;
+
+    const direct = new Map();
+    for (const name of entities.keys()) {
+        const owner = matchPetRule(name);
+        if (owner && owner !== name && entities.has(owner)) direct.set(name, owner);
+    }
+
+    for (const name of direct.keys()) {
+        let owner = direct.get(name);
+        const seen = new Set([name]);
+        while (direct.has(owner) && !seen.has(owner)) {
+            seen.add(owner);
+            owner = direct.get(owner);
+        }
+        if (seen.has(owner)) continue;  // circular rules
+
+        petIndex.ownerByPet.set(name, owner);
+        if (!petIndex.petsByOwner.has(owner)) petIndex.petsByOwner.set(owner, []);
+        petIndex.petsByOwner.get(owner).push(entities.get(name));
+    }
+}
+
+/**
+ * Owner the entity's outgoing events are merged into, "" if none (or
+ * merging is off).
+ */
+function getPetOwner(name) {
+    return petSettings.merge ? (petIndex.ownerByPet.get(name) || "") : "";
+}
+
+function getEntityPets(ownerName) {
+    return petSettings.merge ? (petIndex.petsByOwner.get(ownerName) || []) : [];
+}
+
+function renderPetInfo() {
+    const info = document.getElementById("petInfo");
+    if (!info) return;
+
+    const pairs = Array.from(petIndex.ownerByPet.entries());
+    const matched = pairs.length
+        ? "Matched: " + pairs.map(([pet, owner]) => pet + " → " + owner).join(", ")
+        : (petSettings.rules.length && entities.size ? "No pets matched in this log." : "");
+    info.textContent = [matched, petStorageError].filter(Boolean).join(" ");
+}
+
+function applyPetSettings() {
+    rebuildPetIndex();
+    renderPetInfo();
+    refreshRosterViews();
+}
+
+function setupPetsUI() {
+    loadPetSettings();
+
+    const rulesInput = document.getElementById("petRulesInput");
+    const mergeInput = document.getElementById("petMergeInput");
+    rulesInput.value = formatPetRules(petSettings.rules);
+    mergeInput.checked = petSettings.merge;
+
+    document.getElementById("petRulesApply").addEventListener("click", () => {
+        petSettings.rules = parsePetRules(rulesInput.value);
+        rulesInput.value = formatPetRules(petSettings.rules);
+        savePetSettings();
+        applyPetSettings();
+    });
+
+    mergeInput.addEventListener("change", () => {
+        petSettings.merge = mergeInput.checked;
+        savePetSettings();
+        applyPetSettings();
+    });
+
+    renderPetInfo();
+}
+
+document.addEventListener("DOMContentLoaded", setupPetsUI);
@@ -0,0 +1,386 @@
+// --- Roster / teams -----------------------------------------------------------
+//
+// The log itself does not say who is on which side, so entities can be
+// tagged by hand or from an imported roster file. Tags map to a side
+// (friendly/hostile); damage between two entities of the same side is
+// friendly fire, everything else counts as damage to enemies. The roster
+// is kept in localStorage so it survives reloads and new logs.
+
+const ROSTER_TAGS = {
+    self: {label: "Self", side: "friendly"},
+    party: {label: "Party", side: "friendly"},
+    raid: {label: "Raid", side: "friendly"},
+    guild: {label: "Guild", side: "friendly"},
+    enemy: {label: "Enemy", side: "hostile"},
+    npc: {label: "NPC", side: "hostile"}
+};
+
+const ROSTER_STORAGE_KEY = "combatParser.roster";
+
+// entity name → tag (key of ROSTER_TAGS)
+const roster = new Map();
+
+// summary table team filter / grouping
+const rosterView = {
+    // "" = everyone, "friendly" / "hostile" = a side, "untagged" or a tag
+    team: "",
+    groupByTeam: false
+};
+
+// why the roster could not be loaded or saved, shown in the roster panel;
+// "" when it could
+let rosterStorageError = "";
+
+// --- Stored settings ------------------------------------------------------------
+//
+// localStorage access shared with pets.js. Storage can be unavailable
+// (private windows, blocked cookies) or full; callers show that in their
+// panel instead of failing.
+
+/**
+ * The JSON value stored under key, null if nothing is stored there, or
+ * undefined if it cannot be read.
+ */
+function loadStoredJson(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key) || "null");
+    } catch (err) {
+        return undefined;
+    }
+}
+
+/**
+ * Stores value as JSON under key; false if that failed.
+ */
+function saveStoredJson(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+function loadRoster() {
+    roster.clear();
+    const stored = loadStoredJson(ROSTER_STORAGE_KEY);
+    rosterStorageError = stored === undefined ? "Could not load the saved roster." : "";
+
+    for (const [name, tag] of Object.entries(stored || {})) {
+        if (ROSTER_TAGS[tag]) roster.set(name, tag);
+    }
+}
+
+function saveRoster() {
+    rosterStorageError = saveStoredJson(ROSTER_STORAGE_KEY, Object.fromEntries(roster))
+        ? ""
+        : "Could not save the roster; tags are lost on reload.";
+}
+
+/**
+ * Tag of the entity; pets without a tag of their own get their owner's.
+ */
+function getEntityTag(name) {
+    return roster.get(name) || roster.get(getPetOwner(name)) || "";
+}
+
+/**
+ * "friendly", "hostile" or null for untagged entities.
+ */
+function getEntitySide(name) {
+    const tag = ROSTER_TAGS[getEntityTag(name)];
+    return tag ? tag.side : null;
+}
+
+function isFriendlyFire(sourceName, targetName) {
+    if (sourceName === targetName) return true;
+    const side = getEntitySide(sourceName);
+    return side !== null && side === getEntitySide(targetName);
+}
+
+function rosterHasTags() {
+    return roster.size > 0;
+}
+
+function entityMatchesTeamFilter(name) {
+    const team = rosterView.team;
+    if (!team) return true;
+    if (team === "friendly" || team === "hostile") return getEntitySide(name) === team;
+    if (team === "untagged") return !getEntityTag(name);
+    return getEntityTag(name) === team;
+}
+
+/**
+ * Sort key that puts tagged teams in ROSTER_TAGS order and untagged last.
+ */
+function getTagOrder(tag) {
+    const index = Object.keys(ROSTER_TAGS).indexOf(tag);
+    return index === -1 ? Object.keys(ROSTER_TAGS).length : index;
+}
+
+function getTeamLabel(tag) {
+    return ROSTER_TAGS[tag] ? ROSTER_TAGS[tag].label : "Untagged";
+}
+
+function renderTeamBadge(name) {
+    const tag = getEntityTag(name);
+    return tag ? ` <span class="team-badge team-${tag}">${ROSTER_TAGS[tag].label}</span>` : "";
+}
+
+function renderTeamOptions(selectedTag) {
+    return `<option value="">—</option>` + Object.entries(ROSTER_TAGS)
+        .map(([key, t]) => `<option value="${key}"${key === selectedTag ? " selected" : ""}>${t.label}</option>`)
+        .join("");
+}
+
+function setEntityTag(name, tag) {
+    if (ROSTER_TAGS[tag]) roster.set(name, tag);
+    else roster.delete(name);
+
+    saveRoster();
+    refreshRosterViews();
+}
+
+/**
+ * [name, tag] pairs of a roster file; unknown tags are dropped. Accepted
+ * formats:
+ *   JSON object   {"Alice": "raid", "Dragon": "npc"}
+ *   JSON array    [{"name": "Alice", "tag": "raid"}, ...]
+ *   text lines    Alice,raid   (comma, semicolon or tab; # comments)
+ */
+function parseRosterText(text) {
+    const pairs = [];
+    const trimmed = text.trim();
+
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+        const data = JSON.parse(trimmed);
+        if (Array.isArray(data)) {
+            for (const item of data) {
+                if (item && item.name) pairs.push([item.name, item.tag || item.team]);
+            }
+        } else {
+            pairs.push(...Object.entries(data));
+        }
+    } else {
+        for (const line of trimmed.split(/\r?\n/)) {
+            if (!line.trim() || line.trim().startsWith("#")) continue;
+            const [name, tag] = line.split(/[,;\t]/).map(part => part.trim());
+            pairs.push([name, tag]);
+        }
+    }
+
+    return pairs
+        .map(([name, tag]) => [name, String(tag || "").toLowerCase()])
+        .filter(([name, tag]) => name && ROSTER_TAGS[tag]);
+}
+
+/**
+ * Reads a roster file (see parseRosterText) into the roster and returns
+ * how many names were tagged.
+ */
+function importRosterText(text) {
+    const pairs = parseRosterText(text);
+    for (const [name, tag] of pairs) {
+        roster.set(name, tag);
+    }
+
+    saveRoster();
+    return pairs.length;
+}
+
+/**
+ * Damage the entity dealt inside [start, end], split into damage to
+ * enemies and friendly fire by looking at each target's side.
+ */
+function splitDamageBySide(entity, start, end) {
+    let friendlyFire = 0;
+    let total = 0;
+
+    for (const [target, series] of getTargetSeries(getCountedDamageEvents(entity.damageEvents))) {
+        const amount = sumSeriesInRange(series, start, end).total;
+        total += amount;
+        if (isFriendlyFire(entity.name, target)) friendlyFire += amount;
+    }
+
+    return {damageToEnemies: total - friendlyFire, friendlyFire};
+}
+
+/**
+ * Per-team totals of the current summary rows (one row per tag present,
+ * untagged last).
+ */
+function buildTeamTotals(rows) {
+    const totals = new Map();
+
+    for (const row of rows) {
+        const tag = getEntityTag(row.name);
+        if (!totals.has(tag)) {
+            totals.set(tag, {
+                tag,
+                entities: 0,
+                damageDone: 0,
+                damageToEnemies: 0,
+                friendlyFire: 0,
+                healingDone: 0,
+                damageReceived: 0
+            });
+        }
+
+        const team = totals.get(tag);
+        team.entities++;
+        team.damageDone += row.damageDone;
+        team.damageToEnemies += row.damageToEnemies;
+        team.friendlyFire += row.friendlyFire;
+        team.healingDone += row.healingDone;
+        team.damageReceived += row.damageReceived;
+    }
+
+    return Array.from(totals.values())
+        .filter(team => team.damageDone || team.healingDone || team.damageReceived)
+        .sort((a, b) => getTagOrder(a.tag) - getTagOrder(b.tag));
+}
+
+function renderTeamTotals(rows) {
+    const container = document.getElementById("teamTotalsContainer");
+    if (!container) return;
+
+    if (!rosterHasTags() || !rows.length) {
+        container.innerHTML = "";
+        return;
+    }
+
+    const teams = buildTeamTotals(rows);
+    const sideTotals = {friendly: 0, hostile: 0};
+    for (const team of teams) {
+        const tag = ROSTER_TAGS[team.tag];
+        if (tag) sideTotals[tag.side] += team.damageToEnemies;
+    }
+
+    let html = `<table class="team-totals-table"><thead><tr>
+      <th>Team</th><th>Entities</th><th>Damage done</th><th>To enemies</th>
+      <th>Friendly fire</th><th>Healing done</th><th>Damage received</th>
+    </tr></thead><tbody>`;
+
+    for (const team of teams) {
+        html += `<tr>
+        <td>${getTeamLabel(team.tag)}</td>
+        <td>${team.entities}</td>
+        <td>${team.damageDone.toLocaleString()}</td>
+        <td>${team.damageToEnemies.toLocaleString()}</td>
+        <td>${team.friendlyFire.toLocaleString()}</td>
+        <td>${team.healingDone.toLocaleString()}</td>
+        <td>${team.damageReceived.toLocaleString()}</td>
+      </tr>`;
+    }
+
+    html += `</tbody></table>
+    <p class="entity-details-hint">Friendly side: ${sideTotals.friendly.toLocaleString()} damage to enemies |
+      Hostile side: ${sideTotals.hostile.toLocaleString()} damage to enemies</p>`;
+
+    container.innerHTML = html;
+}
+
+/**
+ * Roster editor: every entity of the session (plus tagged names not in
+ * this log) with a tag picker.
+ */
+function renderRosterList() {
+    const container = document.getElementById("rosterListContainer");
+    if (!container) return;
+
+    const filter = (document.getElementById("rosterSearchInput").value || "").trim().toLowerCase();
+    const names = new Set([...entities.keys(), ...roster.keys()]);
+    const sorted = Array.from(names)
+        .filter(name => !filter || name.toLowerCase().includes(filter))
+        .sort((a, b) => getTagOrder(roster.get(a)) - getTagOrder(roster.get(b)) || a.localeCompare(b));
+
+    const counts = Object.keys(ROSTER_TAGS)
+        .map(tag => [tag, Array.from(roster.values()).filter(t => t === tag).length])
+        .filter(([, count]) => count)
+        .map(([tag, count]) => ROSTER_TAGS[tag].label + ": " + count);
+    document.getElementById("rosterInfo").textContent = (counts.length
+        ? "Tagged: " + counts.join(", ")
+        : "Nobody tagged yet.") + (rosterStorageError ? " " + rosterStorageError : "");
+
+    if (!sorted.length) {
+        container.innerHTML = "";
+        return;
+    }
+
+    let html = `<table class="roster-table"><thead><tr><th>Entity</th><th>Team</th></tr></thead><tbody>`;
+    for (const name of sorted) {
+        const safeName = escapeHtml(name);
+        html += `<tr>
+        <td class="summary-entity" data-entity="${safeName}">${safeName}${entities.has(name) ? "" : " <small>(not in log)</small>"}</td>
+        <td><select class="roster-tag-select" data-entity="${safeName}">${renderTeamOptions(roster.get(name))}</select></td>
+      </tr>`;
+    }
+    html += `</tbody></table>`;
+
+    container.innerHTML = html;
+}
+
+function refreshRosterViews() {
+    renderRosterList();
+    renderTables();
+    if (selectedEntityName && entities.has(selectedEntityName)) {
+        renderEntityDetails(selectedEntityName);
+    }
+}
+
+function setupRosterUI() {
+    loadRoster();
+
+    const handleTagChange = (e) => {
+        const select = e.target.closest(".roster-tag-select");
+        if (select) setEntityTag(select.dataset.entity, select.value);
+    };
+    document.getElementById("rosterListContainer").addEventListener("change", handleTagChange);
+    document.getElementById("entityDetailsContainer").addEventListener("change", handleTagChange);
+
+    document.getElementById("rosterSearchInput").addEventListener("input", renderRosterList);
+
+    document.getElementById("rosterImportInput").addEventListener("change", async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+            const count = importRosterText(await file.text());
+            alert("Imported " + count + " roster entries from " + file.name + ".");
+        } catch (err) {
+            alert("Failed to import roster: " + err.message);
+        }
+
+        e.target.value = "";
+        refreshRosterViews();
+    });
+
+    document.getElementById("rosterClearButton").addEventListener("click", () => {
+        if (!roster.size || !confirm("Remove all " + roster.size + " roster tags?")) return;
+        roster.clear();
+        saveRoster();
+        refreshRosterViews();
+    });
+
+    document.getElementById("summaryTeamFilter").addEventListener("change", (e) => {
+        rosterView.team = e.target.value;
+        renderTables();
+    });
+
+    document.getElementById("summaryGroupByTeam").addEventListener("change", (e) => {
+        rosterView.groupByTeam = e.target.checked;
+        renderTables();
+    });
+
+    const body = document.getElementById("rosterBody");
+    const icon = document.getElementById("rosterToggleIcon");
+    document.getElementById("rosterToggle").addEventListener("click", () => {
+        const collapsed = body.classList.toggle("collapsed");
+        icon.textContent = collapsed ? "▶" : "▼";
+        if (!collapsed) renderRosterList();
+    });
+
+    renderRosterList();
+}
+
+document.addEventListener("DOMContentLoaded", setupRosterUI);
@@ -0,0 +1,248 @@
+// --- Rotation view ------------------------------------------------------------
+//
+// Timeline of what the entity shown in the details view did in the current
+// time frame (see buildRotation in aggregation.js): one lane per skill or
+// effect with a mark per use, DoT ticks drawn as a bar from their
+// application to the last tick, and stretches without any use of at least
+// the gap setting shaded. Hovering a mark shows the event behind it.
+
+const ROTATION_LANE_HEIGHT = 22;
+const ROTATION_AXIS_HEIGHT = 20;
+const ROTATION_PADDING = 8;
+
+// wider canvases stay blank in some browsers
+const ROTATION_MAX_WIDTH = 30000;
+
+// axis label spacing in seconds, the first one leaving enough room is used
+const ROTATION_AXIS_STEPS = [1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 1800, 3600];
+
+const ROTATION_COLORS = {
+    damage: "#e6194b",
+    heal: "#3cb44b",
+    buff: "#ffe119",
+    debuff: "#f58231",
+    dot: "#b36bd6"
+};
+
+const rotationSettings = {
+    gapSeconds: 3,
+    pixelsPerSecond: 20
+};
+
+// what the canvas shows, to map the mouse back to events
+const rotationState = {
+    rotation: null,
+    start: null,
+    scale: 1
+};
+
+function formatRotationTime(seconds) {
+    const m = Math.floor(seconds / 60);
+    const s = seconds - m * 60;
+    return m + ":" + s.toFixed(1).padStart(4, "0");
+}
+
+function renderRotationLabels(lanes) {
+    let html = `<div style="height:${ROTATION_AXIS_HEIGHT}px"></div>`;
+    for (const lane of lanes) {
+        const color = ROTATION_COLORS[lane.kind];
+        html += `<div class="rotation-label" style="height:${ROTATION_LANE_HEIGHT}px" title="${escapeHtml(lane.name)} (${lane.kind})">
+        <span class="chart-legend-swatch" style="background:${color}"></span>${escapeHtml(lane.name)}
+      </div>`;
+    }
+    return html;
+}
+
+function drawRotation(canvas, rotation, start, duration, scale) {
+    const ctx = canvas.getContext("2d");
+    const width = canvas.width;
+    const height = canvas.height;
+    const xFor = ts => ROTATION_PADDING + (ts - start) * scale;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = "11px Arial";
+    ctx.lineWidth = 1;
+
+    rotation.lanes.forEach((lane, i) => {
+        if (i % 2) {
+            ctx.fillStyle = "#1c1c1c";
+            ctx.fillRect(0, ROTATION_AXIS_HEIGHT + i * ROTATION_LANE_HEIGHT, width, ROTATION_LANE_HEIGHT);
+        }
+    });
+
+    // time axis, seconds into the time frame
+    const step = ROTATION_AXIS_STEPS.find(s => s * scale >= 70) || ROTATION_AXIS_STEPS[ROTATION_AXIS_STEPS.length - 1];
+    ctx.strokeStyle = "#333";
+    ctx.fillStyle = "#aaa";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    for (let t = 0; t <= duration; t += step) {
+        const x = Math.round(xFor(start + t)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(x, ROTATION_AXIS_HEIGHT - 4);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+        ctx.fillText(formatDuration(t), x + 3, 3);
+    }
+
+    // gaps across all lanes
+    ctx.fillStyle = "rgba(255, 60, 60, 0.15)";
+    for (const gap of rotation.gaps) {
+        ctx.fillRect(xFor(gap.start), ROTATION_AXIS_HEIGHT, (gap.end - gap.start) * scale, height - ROTATION_AXIS_HEIGHT);
+    }
+
+    rotation.lanes.forEach((lane, i) => {
+        const top = ROTATION_AXIS_HEIGHT + i * ROTATION_LANE_HEIGHT;
+
+        // DoT applications: a bar along the bottom of the lane, a notch
+        // per tick
+        for (const group of lane.dots) {
+            const x = xFor(group.start);
+            ctx.fillStyle = "rgba(179, 107, 214, 0.45)";
+            ctx.fillRect(x, top + ROTATION_LANE_HEIGHT - 8, Math.max(2, (group.end - group.start) * scale), 5);
+            ctx.fillStyle = ROTATION_COLORS.dot;
+            for (const tick of group.ticks) {
+                ctx.fillRect(xFor(tick.timestamp) - 0.5, top + ROTATION_LANE_HEIGHT - 10, 1, 9);
+            }
+        }
+
+        ctx.fillStyle = ROTATION_COLORS[lane.kind];
+        ctx.strokeStyle = ROTATION_COLORS[lane.kind];
+        for (const e of lane.uses) {
+            const x = xFor(e.timestamp) - 1.5;
+            if (e.amount !== undefined && classifyHitType(e.hitType) === "avoided") {
+                ctx.strokeRect(x + 0.5, top + 4.5, 2, ROTATION_LANE_HEIGHT - 14);
+            } else {
+                ctx.fillRect(x, top + 4, 3, ROTATION_LANE_HEIGHT - 13);
+            }
+        }
+    });
+}
+
+/**
+ * Redraws the rotation of the entity in the details view; skipped while
+ * the section is folded up (opening it renders).
+ */
+function renderRotationView() {
+    const body = document.getElementById("rotationBody");
+    const canvas = document.getElementById("rotationCanvas");
+    const labels = document.getElementById("rotationLabels");
+    const info = document.getElementById("rotationInfo");
+    if (body.classList.contains("collapsed")) return;
+
+    rotationState.rotation = null;
+    document.getElementById("rotationHoverInfo").textContent = "";
+
+    const entity = entities.get(selectedEntityName);
+    const {start, end} = getCurrentTimeFrameBounds();
+    if (!entity || start == null || end == null) {
+        labels.innerHTML = "";
+        canvas.width = 0;
+        canvas.height = 0;
+        info.textContent = entities.size ? "Show an entity in Player Details to see its rotation." : "";
+        return;
+    }
+
+    const rotation = buildRotation(entity, rotationSettings.gapSeconds);
+    if (!rotation.lanes.length) {
+        labels.innerHTML = "";
+        canvas.width = 0;
+        canvas.height = 0;
+        info.textContent = entity.name + " did nothing in this time frame.";
+        return;
+    }
+
+    const duration = Math.max(1, end - start);
+    const availableWidth = canvas.parentElement.clientWidth || 800;
+    const width = Math.min(ROTATION_MAX_WIDTH,
+        Math.max(availableWidth, duration * rotationSettings.pixelsPerSecond + 2 * ROTATION_PADDING));
+    const scale = (width - 2 * ROTATION_PADDING) / duration;
+
+    canvas.width = width;
+    canvas.height = ROTATION_AXIS_HEIGHT + rotation.lanes.length * ROTATION_LANE_HEIGHT;
+    labels.innerHTML = renderRotationLabels(rotation.lanes);
+    drawRotation(canvas, rotation, start, duration, scale);
+
+    rotationState.rotation = rotation;
+    rotationState.start = start;
+    rotationState.scale = scale;
+
+    const uses = rotation.lanes.reduce((sum, lane) => sum + lane.uses.length + lane.dots.length, 0);
+    const gapTime = rotation.gaps.reduce((sum, gap) => sum + gap.end - gap.start, 0);
+    info.textContent = `${entity.name}: ${uses.toLocaleString()} uses in ${rotation.lanes.length} lanes, ` +
+        `${rotation.gaps.length} gaps of ${rotationSettings.gapSeconds}s or more ` +
+        `(${formatDuration(gapTime)}, ${((gapTime / duration) * 100).toFixed(1)}% of the time frame)`;
+}
+
+/**
+ * Text for the use, DoT application or gap under canvas point (x, y).
+ */
+function describeRotationPoint(x, y) {
+    const {rotation, start, scale} = rotationState;
+    const lane = rotation.lanes[Math.floor((y - ROTATION_AXIS_HEIGHT) / ROTATION_LANE_HEIGHT)];
+    const ts = start + (x - ROTATION_PADDING) / scale;
+    const slack = 4 / scale;
+
+    if (lane) {
+        let nearest = null;
+        for (const e of lane.uses) {
+            const distance = Math.abs(e.timestamp - ts);
+            if (distance <= slack && (!nearest || distance < Math.abs(nearest.timestamp - ts))) nearest = e;
+        }
+        if (nearest) {
+            const amount = nearest.amount !== undefined
+                ? " " + nearest.amount.toLocaleString() + (nearest.hitType ? " (" + nearest.hitType + ")" : "")
+                : "";
+            return `${formatRotationTime(nearest.timestamp - start)} ${lane.name} → ${nearest.target}${amount}`;
+        }
+
+        const group = lane.dots.find(g => ts >= g.start - slack && ts <= g.end + slack);
+        if (group) {
+            return `${formatRotationTime(group.start - start)} ${lane.name} DoT on ${group.target}: ` +
+                `${group.ticks.length} ticks, ${group.total.toLocaleString()} over ${(group.end - group.start).toFixed(1)}s`;
+        }
+    }
+
+    const gap = rotation.gaps.find(g => ts >= g.start && ts <= g.end);
+    return gap
+        ? `${formatRotationTime(gap.start - start)} gap of ${(gap.end - gap.start).toFixed(1)}s`
+        : "";
+}
+
+function setupRotationUI() {
+    const canvas = document.getElementById("rotationCanvas");
+    const gapInput = document.getElementById("rotationGapInput");
+    const zoomInput = document.getElementById("rotationZoomInput");
+    const hoverInfo = document.getElementById("rotationHoverInfo");
+
+    gapInput.value = rotationSettings.gapSeconds;
+    zoomInput.value = rotationSettings.pixelsPerSecond;
+
+    gapInput.addEventListener("change", () => {
+        const value = Number(gapInput.value);
+        if (value > 0) rotationSettings.gapSeconds = value;
+        renderRotationView();
+    });
+
+    zoomInput.addEventListener("change", () => {
+        const value = Number(zoomInput.value);
+        if (value > 0) rotationSettings.pixelsPerSecond = value;
+        renderRotationView();
+    });
+
+    canvas.addEventListener("mousemove", (e) => {
+        if (!rotationState.rotation) return;
+        const rect = canvas.getBoundingClientRect();
+        hoverInfo.textContent = describeRotationPoint(e.clientX - rect.left, e.clientY - rect.top);
+    });
+
+    const body = document.getElementById("rotationBody");
+    const icon = document.getElementById("rotationToggleIcon");
+    document.getElementById("rotationToggle").addEventListener("click", () => {
+        const collapsed = body.classList.toggle("collapsed");
+        icon.textContent = collapsed ? "▶" : "▼";
+        if (!collapsed) renderRotationView();
+    });
+}
+
+document.addEventListener("DOMContentLoaded", setupRotationUI);
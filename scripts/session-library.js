@@ -0,0 +1,338 @@
+// --- Session library ----------------------------------------------------------
+//
+// Parsed sessions (entities, globalStats, timeBounds) saved to IndexedDB,
+// so an old raid can be reopened without its log file. Two stores:
+//   sessions     small metadata records, listed in the library
+//                {id, name, files, savedAt, timeBounds, parsedLines,
+//                 bytes, timeFilters: [{label, start, end}], lastFilter}
+//   sessionData  the parsed data itself, same id, only read on open
+
+const SESSION_DB_NAME = "combatParser";
+const SESSION_DB_VERSION = 1;
+
+// id of the saved session currently shown, null for an unsaved parse
+let currentSessionId = null;
+
+let sessionDbPromise = null;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openSessionDb() {
+    if (!sessionDbPromise) {
+        sessionDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore("sessions", {keyPath: "id", autoIncrement: true});
+                db.createObjectStore("sessionData", {keyPath: "id"});
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // let a later call retry after e.g. a blocked upgrade
+        sessionDbPromise.catch(() => { sessionDbPromise = null; });
+    }
+    return sessionDbPromise;
+}
+
+/**
+ * Runs fn(stores) in one transaction and resolves with fn's result once
+ * the transaction has committed.
+ */
+async function runSessionTransaction(storeNames, mode, fn) {
+    const db = await openSessionDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        const stores = Object.fromEntries(storeNames.map(name => [name, tx.objectStore(name)]));
+
+        let result;
+        Promise.resolve(fn(stores)).then(value => { result = value; }, (err) => {
+            reject(err);
+            try {
+                tx.abort();
+            } catch (abortErr) {
+                // already finished
+            }
+        });
+
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+    });
+}
+
+async function getSavedSession(id) {
+    return runSessionTransaction(["sessions"], "readonly",
+        ({sessions}) => requestToPromise(sessions.get(id)));
+}
+
+async function listSavedSessions() {
+    const records = await runSessionTransaction(["sessions"], "readonly",
+        ({sessions}) => requestToPromise(sessions.getAll()));
+    return records.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+function getCurrentFilterRecord() {
+    return timeFilter.enabled
+        ? {label: timeFilter.label, start: timeFilter.start, end: timeFilter.end}
+        : null;
+}
+
+async function saveCurrentSession(name) {
+    const meta = {
+        name,
+        files: globalStats.files.map(f => f.name),
+        savedAt: Date.now(),
+        timeBounds: {min: timeBounds.min, max: timeBounds.max},
+        parsedLines: globalStats.parsedLines,
+        bytes: globalStats.files.reduce((sum, f) => sum + (f.size || 0), 0),
+        timeFilters: [],
+        lastFilter: getCurrentFilterRecord()
+    };
+
+    const data = {
+        entities: Array.from(entities.entries()),
+        globalStats,
+        timeBounds
+    };
+
+    return runSessionTransaction(["sessions", "sessionData"], "readwrite", async (stores) => {
+        const id = await requestToPromise(stores.sessions.add(meta));
+        stores.sessionData.put({id, ...data});
+        return id;
+    });
+}
+
+async function updateSavedSession(id, changes) {
+    return runSessionTransaction(["sessions"], "readwrite", async ({sessions}) => {
+        const meta = await requestToPromise(sessions.get(id));
+        if (!meta) throw new Error("Saved session not found.");
+        const updated = {...meta, ...changes};
+        sessions.put(updated);
+        return updated;
+    });
+}
+
+async function deleteSavedSession(id) {
+    return runSessionTransaction(["sessions", "sessionData"], "readwrite", (stores) => {
+        stores.sessions.delete(id);
+        stores.sessionData.delete(id);
+    });
+}
+
+/**
+ * Metadata and parsed data of a saved session: {meta, data}.
+ */
+async function loadSavedSession(id) {
+    const [meta, data] = await runSessionTransaction(["sessions", "sessionData"], "readonly", (stores) =>
+        Promise.all([
+            requestToPromise(stores.sessions.get(id)),
+            requestToPromise(stores.sessionData.get(id))
+        ])
+    );
+    if (!meta || !data) throw new Error("Saved session not found.");
+    return {meta, data};
+}
+
+/**
+ * Replaces the current session by a saved one and renders it.
+ */
+async function openSavedSession(id) {
+    const {meta, data} = await loadSavedSession(id);
+
+    clearSession();
+    adoptParseResult(data);
+    currentSessionId = id;
+
+    showParsedSession(meta.lastFilter);
+}
+
+// --- Rendering ----------------------------------------------------------------
+
+function formatBytes(bytes) {
+    if (!bytes) return "n/a";
+    if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + " MB";
+    return Math.max(1, Math.round(bytes / 1024)) + " KB";
+}
+
+function renderSavedTimeFilters(meta) {
+    if (!meta) return "";
+
+    let html = `<div class="saved-time-filters"><strong>Saved time frames of “${escapeHtml(meta.name)}”:</strong> `;
+    if (!meta.timeFilters.length) {
+        html += `<small>none yet</small>`;
+    }
+    meta.timeFilters.forEach((filter, index) => {
+        html += `<span class="saved-time-filter">
+        <a href="#" data-action="apply-filter" data-filter-index="${index}"
+           title="${formatTimestamp(filter.start)} → ${formatTimestamp(filter.end)}">${escapeHtml(filter.label || "time frame " + (index + 1))}</a>
+        <button data-action="delete-filter" data-filter-index="${index}" title="Remove">×</button>
+      </span>`;
+    });
+    html += `</div>`;
+    return html;
+}
+
+async function renderSessionLibrary() {
+    const container = document.getElementById("sessionLibraryContainer");
+    if (!container) return;
+
+    if (typeof indexedDB === "undefined") {
+        container.innerHTML = "<p><small>This browser does not allow saving sessions (no IndexedDB).</small></p>";
+        return;
+    }
+
+    let sessions;
+    try {
+        sessions = await listSavedSessions();
+    } catch (err) {
+        container.innerHTML = `<p><small>Could not open the session library: ${escapeHtml(err.message || String(err))}</small></p>`;
+        return;
+    }
+
+    document.getElementById("saveTimeFilterButton").disabled = currentSessionId === null;
+
+    if (!sessions.length) {
+        container.innerHTML = "<p><small>No saved sessions yet.</small></p>";
+        return;
+    }
+
+    let html = `<table class="session-table"><thead><tr>
+      <th>Name</th><th>Files</th><th>Date range</th><th>Lines</th><th>Size</th><th>Saved</th><th></th>
+    </tr></thead><tbody>`;
+
+    for (const meta of sessions) {
+        const range = formatTimestamp(meta.timeBounds.min) + " → " + formatTimestamp(meta.timeBounds.max);
+        html += `<tr class="${meta.id === currentSessionId ? "active" : ""}" data-session-id="${meta.id}">
+        <td>${escapeHtml(meta.name)}</td>
+        <td>${escapeHtml(meta.files.join(", "))}</td>
+        <td>${range}</td>
+        <td>${meta.parsedLines.toLocaleString()}</td>
+        <td>${formatBytes(meta.bytes)}</td>
+        <td>${new Date(meta.savedAt).toLocaleString()}</td>
+        <td class="session-actions">
+          <button data-action="open">Open</button>
+          <button data-action="rename">Rename</button>
+          <button data-action="delete">Delete</button>
+        </td>
+      </tr>`;
+    }
+
+    html += `</tbody></table>`;
+    html += renderSavedTimeFilters(sessions.find(meta => meta.id === currentSessionId));
+
+    container.innerHTML = html;
+}
+
+// --- Actions ------------------------------------------------------------------
+
+async function handleSaveSession() {
+    if (!entities.size) {
+        alert("Parse a log first.");
+        return;
+    }
+    if (currentSessionId !== null) {
+        alert("This session is already saved.");
+        return;
+    }
+
+    const name = prompt("Name of the saved session:", getSessionFileLabel());
+    if (!name || !name.trim()) return;
+
+    try {
+        currentSessionId = await saveCurrentSession(name.trim());
+    } catch (err) {
+        alert("Failed to save the session: " + (err.message || err));
+    }
+    await renderSessionLibrary();
+}
+
+async function handleSaveTimeFilter() {
+    if (currentSessionId === null) return;
+    if (!timeFilter.enabled) {
+        alert("Pick a time frame first (the full range is always available).");
+        return;
+    }
+
+    const label = prompt("Name of the time frame:", timeFilter.label);
+    if (label === null) return;
+
+    try {
+        const meta = await getSavedSession(currentSessionId);
+        await updateSavedSession(currentSessionId, {
+            timeFilters: [...meta.timeFilters, {...getCurrentFilterRecord(), label: label.trim()}]
+        });
+    } catch (err) {
+        alert("Failed to save the time frame: " + (err.message || err));
+    }
+    await renderSessionLibrary();
+}
+
+async function handleSessionLibraryClick(e) {
+    const button = e.target.closest("[data-action]");
+    if (!button) return;
+    e.preventDefault();
+
+    const action = button.dataset.action;
+    const row = button.closest("[data-session-id]");
+    const id = row ? Number(row.dataset.sessionId) : currentSessionId;
+
+    try {
+        if (action === "open") {
+            if (activeParse) {
+                alert("A log is being parsed. Cancel it first.");
+                return;
+            }
+            await openSavedSession(id);
+        } else if (action === "rename") {
+            const meta = await getSavedSession(id);
+            const name = prompt("New name:", meta.name);
+            if (!name || !name.trim() || name.trim() === meta.name) return;
+            await updateSavedSession(id, {name: name.trim()});
+        } else if (action === "delete") {
+            const meta = await getSavedSession(id);
+            if (!confirm("Delete the saved session “" + meta.name + "”?")) return;
+            await deleteSavedSession(id);
+            if (id === currentSessionId) currentSessionId = null;
+        } else if (action === "apply-filter" || action === "delete-filter") {
+            const meta = await getSavedSession(id);
+            const index = Number(button.dataset.filterIndex);
+            const filter = meta && meta.timeFilters[index];
+            if (!filter) return;
+
+            if (action === "apply-filter") {
+                setTimeFilter(filter.start, filter.end, filter.label);
+                return;
+            }
+            await updateSavedSession(id, {
+                timeFilters: meta.timeFilters.filter((_, i) => i !== index)
+            });
+        }
+    } catch (err) {
+        alert("Session library: " + (err.message || err));
+    }
+
+    await renderSessionLibrary();
+}
+
+function setupSessionLibraryUI() {
+    document.getElementById("saveSessionButton").addEventListener("click", handleSaveSession);
+    document.getElementById("saveTimeFilterButton").addEventListener("click", handleSaveTimeFilter);
+    document.getElementById("sessionLibraryContainer").addEventListener("click", handleSessionLibraryClick);
+
+    const body = document.getElementById("sessionLibraryBody");
+    const icon = document.getElementById("sessionLibraryToggleIcon");
+    document.getElementById("sessionLibraryToggle").addEventListener("click", () => {
+        const collapsed = body.classList.toggle("collapsed");
+        icon.textContent = collapsed ? "▶" : "▼";
+    });
+
+    renderSessionLibrary();
+}
+
+document.addEventListener("DOMContentLoaded", setupSessionLibraryUI);
@@ -0,0 +1,142 @@
+// --- Targets ------------------------------------------------------------------
+//
+// Who hit whom. The details view breaks an entity's damage and healing down
+// by target and then by skill within each target; the summary gets a
+// "damage taken by target" table whose rows open to the attackers, so the
+// boss and the adds can be read side by side. The numbers come from
+// buildTargetSkillStats / buildDamageTakenByTarget in aggregation.js.
+
+// open target rows, as "<table>:<target>"; kept across re-renders so a
+// new time frame does not fold them up again
+const expandedTargetRows = new Set();
+
+function renderTargetToggle(key) {
+    return `<span class="target-toggle-icon">${expandedTargetRows.has(key) ? "▼" : "▶"}</span>`;
+}
+
+function renderTargetDetailClass(key) {
+    return "target-detail-row" + (expandedTargetRows.has(key) ? "" : " hidden");
+}
+
+function renderTargetStatsCells(stats, total) {
+    const pct = total ? (stats.total / total) * 100 : 0;
+    const avg = stats.landed ? stats.total / stats.landed : 0;
+    const critPct = stats.landed ? (stats.crits / stats.landed) * 100 : 0;
+    return `<td>${stats.total.toLocaleString()}</td>
+        <td>${pct.toFixed(1)}%</td>
+        <td>${stats.hits}</td>
+        <td>${Math.round(avg).toLocaleString()}</td>
+        <td>${critPct.toFixed(1)}%</td>`;
+}
+
+/**
+ * Target table of the details view (rows of buildTargetSkillStats): one
+ * row per target that opens to the skills used on it. table keeps the
+ * open rows of the damage and healing tables apart.
+ */
+function renderTargetSkillTable(rows, amountLabel, table) {
+    const total = rows.reduce((sum, row) => sum + row.stats.total, 0);
+
+    let html = `<table class="entity-skill-table target-table"><thead><tr>
+      <th>Target / skill</th><th>${amountLabel}</th><th>%</th><th>Hits</th><th>Avg</th><th>Crit %</th>
+    </tr></thead><tbody>`;
+
+    for (const row of rows) {
+        const key = table + ":" + row.target;
+        const safeName = escapeHtml(row.target);
+        html += `<tr class="target-row" data-target-key="${escapeHtml(key)}">
+        <td>${renderTargetToggle(key)} <span class="summary-entity" data-entity="${safeName}">${safeName}</span>${renderTeamBadge(row.target)}</td>
+        ${renderTargetStatsCells(row.stats, total)}
+      </tr>`;
+
+        // the % of a skill row is its share of the damage on that target
+        const skills = [...row.bySkill.entries()].sort((a, b) => b[1].total - a[1].total);
+        for (const [skill, stats] of skills) {
+            html += `<tr class="${renderTargetDetailClass(key)}">
+        <td class="target-detail-name">${escapeHtml(skill)}</td>
+        ${renderTargetStatsCells(stats, row.stats.total)}
+      </tr>`;
+        }
+    }
+
+    html += `</tbody></table>`;
+    return html;
+}
+
+/**
+ * Summary table of the damage every entity took in the current time frame
+ * (team filter applied), each row opening to its attackers.
+ */
+function renderDamageTakenByTarget() {
+    const container = document.getElementById("damageByTargetTableContainer");
+    const rows = buildDamageTakenByTarget().filter(row => entityMatchesTeamFilter(row.target));
+
+    if (!rows.length) {
+        container.innerHTML = "";
+        return;
+    }
+
+    const total = rows.reduce((sum, row) => sum + row.total, 0);
+
+    let html = `<table class="target-table target-summary-table"><thead><tr>
+      <th>Target / attacker</th><th>Damage Taken</th><th>%</th><th>Attackers</th><th>Top attacker</th>
+    </tr></thead><tbody>`;
+
+    for (const row of rows) {
+        const key = "taken:" + row.target;
+        const safeName = escapeHtml(row.target);
+        const top = row.sources[0];
+        html += `<tr class="target-row" data-target-key="${escapeHtml(key)}">
+        <td>${renderTargetToggle(key)} <span class="summary-entity" data-entity="${safeName}">${safeName}</span>${renderTeamBadge(row.target)}</td>
+        <td>${row.total.toLocaleString()}</td>
+        <td>${((row.total / total) * 100).toFixed(1)}%</td>
+        <td>${row.sources.length}</td>
+        <td>${escapeHtml(top.source)} (${((top.amount / row.total) * 100).toFixed(1)}%)</td>
+      </tr>`;
+
+        for (const source of row.sources) {
+            const safeSource = escapeHtml(source.source);
+            html += `<tr class="${renderTargetDetailClass(key)}">
+        <td class="target-detail-name"><span class="summary-entity" data-entity="${safeSource}">${safeSource}</span>${renderTeamBadge(source.source)}</td>
+        <td>${source.amount.toLocaleString()}</td>
+        <td>${((source.amount / row.total) * 100).toFixed(1)}%</td>
+        <td></td>
+        <td></td>
+      </tr>`;
+        }
+    }
+
+    html += `</tbody></table>`;
+    container.innerHTML = html;
+}
+
+/**
+ * Opens or closes a target row in place; clicks on a name are left to
+ * the entity details handler.
+ */
+function handleTargetRowClick(e) {
+    if (e.target.closest(".summary-entity")) return;
+
+    const row = e.target.closest(".target-row");
+    if (!row) return;
+
+    const key = row.dataset.targetKey;
+    const open = !expandedTargetRows.has(key);
+    if (open) {
+        expandedTargetRows.add(key);
+    } else {
+        expandedTargetRows.delete(key);
+    }
+
+    row.querySelector(".target-toggle-icon").textContent = open ? "▼" : "▶";
+    for (let next = row.nextElementSibling; next && next.classList.contains("target-detail-row"); next = next.nextElementSibling) {
+        next.classList.toggle("hidden", !open);
+    }
+}
+
+function setupTargetsUI() {
+    document.getElementById("entityDetailsContainer").addEventListener("click", handleTargetRowClick);
+    document.getElementById("damageByTargetTableContainer").addEventListener("click", handleTargetRowClick);
+}
+
+document.addEventListener("DOMContentLoaded", setupTargetsUI);
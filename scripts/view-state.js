@@ -0,0 +1,159 @@
+// --- View state in the URL hash -----------------------------------------------
+//
+// The time window, the entity in the details view, the damage counted
+// (damage=direct or damage=dot, absent for both) and which sections are
+// collapsed are mirrored into the hash, e.g.
+//   #from=1700000000&to=1700000600&label=encounter+%232&entity=Alice&damage=dot&collapsed=chart,events
+// Nothing in it refers to the log file, so a link only makes sense next to
+// the same log: from/to are applied after a parse when they overlap the
+// log's time range. from/to also accept anything Date.parse understands.
+
+// hash key → [toggle button, collapsible body]
+const VIEW_STATE_SECTIONS = {
+    diagnostics: ["diagnosticsToggle", "diagnosticsBody"],
+    sessions: ["sessionLibraryToggle", "sessionLibraryBody"],
+    roster: ["rosterToggle", "rosterBody"],
+    summary: ["summaryCollapseToggle", "summaryBody"],
+    chart: ["chartCollapseToggle", "chartBody"],
+    details: ["entityDetailsToggle", "entityDetailsBody"],
+    rotation: ["rotationToggle", "rotationBody"],
+    compare: ["compareToggle", "compareBody"],
+    deaths: ["deathsToggle", "deathsBody"],
+    events: ["eventBrowserToggle", "eventBrowserBody"]
+};
+
+function readHashParams() {
+    return new URLSearchParams(location.hash.replace(/^#/, ""));
+}
+
+function parseHashTime(value) {
+    if (!value) return null;
+    if (/^\d+(\.\d+)?$/.test(value)) return Number(value);
+
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? null : ms / 1000;
+}
+
+/**
+ * The hash's time window clamped to the loaded log, or null when the
+ * hash has none or it does not overlap the log.
+ */
+function getHashTimeFilter() {
+    const params = readHashParams();
+    const start = parseHashTime(params.get("from"));
+    const end = parseHashTime(params.get("to"));
+
+    if (start == null || end == null || start >= end) return null;
+    if (timeBounds.min == null || end < timeBounds.min || start > timeBounds.max) return null;
+
+    return {
+        start: Math.max(start, timeBounds.min),
+        end: Math.min(end, timeBounds.max),
+        label: params.get("label") || ""
+    };
+}
+
+/**
+ * The hash's entity if the loaded log has it, else "".
+ */
+function getHashEntity() {
+    const name = readHashParams().get("entity");
+    return name && entities.has(name) ? name : "";
+}
+
+function applyHashCollapsedSections() {
+    const params = readHashParams();
+    if (!params.has("collapsed")) return;
+
+    const collapsed = new Set(params.get("collapsed").split(",").filter(Boolean));
+    for (const [key, [buttonId, bodyId]] of Object.entries(VIEW_STATE_SECTIONS)) {
+        const body = document.getElementById(bodyId);
+        // go through the section's own toggle so it renders when opened
+        if (body && body.classList.contains("collapsed") !== collapsed.has(key)) {
+            document.getElementById(buttonId).click();
+        }
+    }
+}
+
+function applyHashDamageTypes() {
+    const damage = readHashParams().get("damage");
+    setDamageTypes(damage !== "dot", damage !== "direct");
+}
+
+/**
+ * Writes the current view into the hash without adding history entries.
+ * Before a log is loaded the window and entity of the hash are kept, so
+ * a pasted link survives until the log is parsed.
+ */
+function updateUrlHash() {
+    const params = readHashParams();
+
+    if (entities.size) {
+        for (const key of ["from", "to", "label", "entity"]) params.delete(key);
+
+        if (timeFilter.enabled) {
+            params.set("from", String(timeFilter.start));
+            params.set("to", String(timeFilter.end));
+            if (timeFilter.label) params.set("label", timeFilter.label);
+        }
+        if (selectedEntityName) params.set("entity", selectedEntityName);
+    }
+
+    params.delete("damage");
+    if (!damageTypeFilter.dot) params.set("damage", "direct");
+    if (!damageTypeFilter.direct) params.set("damage", "dot");
+
+    const collapsed = Object.entries(VIEW_STATE_SECTIONS)
+        .filter(([, [, bodyId]]) => {
+            const body = document.getElementById(bodyId);
+            return body && body.classList.contains("collapsed");
+        })
+        .map(([key]) => key);
+    params.set("collapsed", collapsed.join(","));
+
+    const hash = "#" + params.toString();
+    if (hash !== location.hash) {
+        history.replaceState(null, "", hash);
+    }
+}
+
+/**
+ * A link pasted into the address bar of an already loaded page.
+ */
+function handleHashChange() {
+    applyHashDamageTypes();
+    applyHashCollapsedSections();
+    if (!entities.size) return;
+
+    const name = getHashEntity();
+    const filter = getHashTimeFilter();
+    if (filter) setTimeFilter(filter.start, filter.end, filter.label);
+
+    if (name) {
+        document.getElementById("entityInput").value = name;
+        renderEntityDetails(name);
+    }
+}
+
+function setupViewStateUI() {
+    applyHashDamageTypes();
+    applyHashCollapsedSections();
+
+    // section toggles have their own listeners; this one runs after them
+    document.addEventListener("click", (e) => {
+        if (e.target.closest(".summary-toggle-btn, .entity-toggle-btn")) updateUrlHash();
+    });
+
+    window.addEventListener("hashchange", handleHashChange);
+
+    document.getElementById("copyViewLink").addEventListener("click", async () => {
+        updateUrlHash();
+        try {
+            await navigator.clipboard.writeText(location.href);
+        } catch (err) {
+            prompt("Copy this link:", location.href);
+        }
+    });
+}
+
+document.addEventListener("DOMContentLoaded", setupViewStateUI);